@@ -0,0 +1,149 @@
+import fs from 'fs';
+import { join, relative, dirname } from 'path';
+import { slugify } from '../utils/naming.js';
+
+export const ASSET_FORMATS = ['png', 'jpg', 'svg', 'pdf'];
+
+// Parallel downloads; renders are fetched from Figma's CDN, not the API
+const DOWNLOAD_CONCURRENCY = 4;
+
+// Stable across runs: the layer name for readability, the node ID for uniqueness
+export function assetFileName(node, { format = 'png', scale = 1 } = {}) {
+    const id = node.id.replace(/[:;]/g, '-');
+    const suffix = scale !== 1 && (format === 'png' || format === 'jpg') ? `@${scale}x` : '';
+    return `${slugify(node.name) || 'node'}-${id}${suffix}.${format}`;
+}
+
+// Nodes worth rendering: top-level frames and components. Image layers are
+// exported as their original bitmaps instead (see exportImageFills)
+export function collectAssetNodes(document) {
+    const nodes = [];
+    const visit = (node, depth) => {
+        if (!node || node.visible === false) return;
+        const isFrame = node.type === 'FRAME' && depth === 2;
+        const isComponent = node.type === 'COMPONENT' || node.type === 'COMPONENT_SET';
+        if (isFrame || isComponent) {
+            nodes.push({ id: node.id, name: node.name, type: node.type });
+        }
+        node.children?.forEach(child => visit(child, depth + 1));
+    };
+    visit(document, 0);
+    return nodes;
+}
+
+// imageRef -> IDs of the visible layers filled with that image
+export function collectImageFills(document) {
+    const refs = new Map();
+    const visit = node => {
+        if (!node || node.visible === false) return;
+        node.fills?.forEach(fill => {
+            if (fill.type !== 'IMAGE' || fill.visible === false || !fill.imageRef) return;
+            if (!refs.has(fill.imageRef)) refs.set(fill.imageRef, []);
+            refs.get(fill.imageRef).push(node.id);
+        });
+        node.children?.forEach(visit);
+    };
+    visit(document);
+    return refs;
+}
+
+// File type from the first bytes; image fill URLs carry no extension
+function imageExtension(data) {
+    if (data[0] === 0x89 && data.toString('ascii', 1, 4) === 'PNG') return 'png';
+    if (data[0] === 0xff && data[1] === 0xd8) return 'jpg';
+    if (data.toString('ascii', 0, 3) === 'GIF') return 'gif';
+    if (data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+    if (/^\s*(<\?xml|<svg)/.test(data.toString('utf8', 0, 100))) return 'svg';
+    return 'bin';
+}
+
+async function findExisting(dir, imageRef) {
+    const files = await fs.promises.readdir(dir).catch(() => []);
+    const match = files.find(file => file.startsWith(`${imageRef}.`) && !file.endsWith('.tmp'));
+    return match ? join(dir, match) : null;
+}
+
+async function runPool(items, limit, worker) {
+    const queue = [...items];
+    const runners = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+        while (queue.length > 0) {
+            await worker(queue.shift());
+        }
+    });
+    await Promise.all(runners);
+}
+
+// Render nodes through batched /v1/images calls and download them into `dir`.
+// Returns nodeId -> asset, with `path` relative to `baseDir` (the output file's
+// directory) so the design rules can link to it.
+export async function exportAssets(client, fileId, nodes, { dir, baseDir, format = 'png', scale = 1 }) {
+    const assets = new Map();
+    const failures = [];
+    if (nodes.length === 0) return { assets, failures };
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    const urls = await client.getImages(fileId, nodes.map(node => node.id), { format, scale });
+
+    await runPool(nodes, DOWNLOAD_CONCURRENCY, async node => {
+        const url = urls[node.id];
+        if (!url) {
+            failures.push({ id: node.id, name: node.name, error: 'Figma could not render this node' });
+            return;
+        }
+        const filePath = join(dir, assetFileName(node, { format, scale }));
+        try {
+            const data = await client.download(url, `download render of ${node.id}`);
+            await fs.promises.writeFile(filePath, data);
+            assets.set(node.id, {
+                id: node.id,
+                name: node.name,
+                type: node.type,
+                format,
+                scale,
+                path: relative(baseDir || dirname(filePath), filePath).split('\\').join('/')
+            });
+        } catch (error) {
+            failures.push({ id: node.id, name: node.name, error: error.message });
+        }
+    });
+
+    return { assets, failures };
+}
+
+// Download the original bitmap behind every image fill through
+// /v1/files/:id/images. imageRef is a content hash, so each image is stored
+// once as <imageRef>.<ext> and kept across runs.
+export async function exportImageFills(client, fileId, document, { dir, baseDir }) {
+    const images = new Map();
+    const failures = [];
+    const refs = collectImageFills(document);
+    if (refs.size === 0) return { images, failures };
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    const urls = await client.getImageFills(fileId);
+
+    await runPool([...refs.keys()], DOWNLOAD_CONCURRENCY, async imageRef => {
+        const nodeIds = refs.get(imageRef);
+        try {
+            let filePath = await findExisting(dir, imageRef);
+            if (!filePath) {
+                if (!urls[imageRef]) {
+                    throw new Error('Figma returned no URL for this image');
+                }
+                const data = await client.download(urls[imageRef], `download image ${imageRef}`);
+                filePath = join(dir, `${imageRef}.${imageExtension(data)}`);
+                await fs.promises.writeFile(`${filePath}.tmp`, data);
+                await fs.promises.rename(`${filePath}.tmp`, filePath);
+            }
+            images.set(imageRef, {
+                imageRef,
+                nodeIds,
+                path: relative(baseDir || dir, filePath).split('\\').join('/')
+            });
+        } catch (error) {
+            failures.push({ imageRef, nodeIds, error: error.message });
+        }
+    });
+
+    return { images, failures };
+}
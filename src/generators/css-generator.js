@@ -0,0 +1,294 @@
+import { figmaColorToHex } from '../utils/color.js';
+import { px, cssString, shadowToCss, blurToCss } from '../utils/css.js';
+import { slugify, layerName, uniqueKey, categoryKey } from '../utils/naming.js';
+import { flattenTypography } from '../processors/token-processor.js';
+import { variableTokenType } from '../processors/variable-processor.js';
+
+const HEADER = 'Generated by fig4ai from Figma design tokens';
+
+// CSS custom property name of a variable, e.g. "Theme/color/primary" -> "theme-color-primary"
+export function variableCssName(qualifiedName) {
+    return qualifiedName.split('/').map(slugify).join('-');
+}
+
+function variableCssValue(variable, value) {
+    const type = variableTokenType(variable);
+    if (value === null || value === undefined || type === 'boolean') return null;
+    if (type === 'dimension') return px(value);
+    if (type === 'fontFamily' || type === 'string') return cssString(value);
+    return String(value);
+}
+
+// Variable collections with CSS names and per-mode values; `refs` keep aliases as references
+function collectCssVariables(tokens) {
+    return tokens.variables.map(collection => ({
+        name: slugify(collection.name),
+        defaultMode: collection.defaultMode,
+        modes: collection.modes,
+        variables: collection.variables
+            .filter(variable => variableTokenType(variable) !== 'boolean')
+            .map(variable => ({
+                name: variableCssName(`${collection.name}/${variable.name}`),
+                values: Object.fromEntries(collection.modes.map(mode => [mode, variableCssValue(variable, variable.values[mode])])),
+                refs: Object.fromEntries(collection.modes
+                    .filter(mode => variable.aliases[mode] && variable.values[mode] !== null)
+                    .map(mode => [mode, variableCssName(variable.aliases[mode])]))
+            }))
+    })).filter(collection => collection.variables.length > 0);
+}
+
+// Collect tokens as named CSS values shared by the CSS and SCSS outputs
+export function collectCssTokens(tokens) {
+    const groups = {
+        color: {},
+        font: {},
+        spacing: {},
+        shadow: {},
+        blur: {},
+        gradient: {},
+        border: {},
+        radius: {},
+        typography: {},
+        variables: collectCssVariables(tokens)
+    };
+    const seen = new Map();
+
+    // Identical name and value pairs (e.g. repeated fills) collapse into one variable
+    const add = (group, name, value) => {
+        const id = `${group}:${name}:${JSON.stringify(value)}`;
+        if (seen.has(id)) return seen.get(id);
+        const key = uniqueKey(groups[group], name);
+        groups[group][key] = value;
+        seen.set(id, key);
+        return key;
+    };
+
+    Object.entries(tokens.colors).forEach(([category, colors]) => {
+        colors.forEach(token => {
+            const { r, g, b } = token.color;
+            const key = category === 'other'
+                ? slugify(layerName(token.name))
+                : `${category}-${categoryKey(token.name, category)}`.replace(/-DEFAULT$/, '');
+            add('color', key, figmaColorToHex({ r: r / 255, g: g / 255, b: b / 255, a: token.opacity ?? 1 }));
+        });
+    });
+
+    tokens.spacing.forEach(spacing => {
+        [spacing.itemSpacing, ...Object.values(spacing.padding)]
+            .filter(value => typeof value === 'number' && value > 0)
+            .forEach(value => {
+                groups.spacing[String(Math.round(value * 100) / 100).replace('.', '_')] = px(value);
+            });
+    });
+
+    // Shadows on the same node are layered into one box-shadow
+    const shadowsByNode = new Map();
+    tokens.effects.shadows.forEach(shadow => {
+        if (shadow.value.visible === false) return;
+        const entry = shadowsByNode.get(shadow.id) || { name: shadow.name, layers: [] };
+        entry.layers.push(shadowToCss(shadow.value));
+        shadowsByNode.set(shadow.id, entry);
+    });
+    shadowsByNode.forEach(({ name, layers }) => {
+        add('shadow', slugify(layerName(name)), layers.join(', '));
+    });
+
+    tokens.effects.blurs.forEach(blur => {
+        if (blur.value.visible === false) return;
+        add('blur', slugify(layerName(blur.name)), blurToCss(blur.value));
+    });
+
+    tokens.gradients.forEach(gradient => {
+        add('gradient', slugify(layerName(gradient.name)), gradient.css);
+    });
+
+    tokens.borders.forEach(border => {
+        add('border', slugify(layerName(border.name)), border.css);
+    });
+
+    // Radii are named by value, like spacing
+    tokens.radii.forEach(radius => {
+        const name = Array.isArray(radius.value) ? radius.value.join('-') : String(radius.value);
+        groups.radius[name.replace(/\./g, '_')] = radius.css;
+    });
+
+    flattenTypography(tokens).forEach(textStyle => {
+        const { fontFamily, fontWeight, fontSize, lineHeight, letterSpacing, textCase, textDecoration } = textStyle.style;
+        const properties = {};
+
+        if (fontFamily) {
+            const familyKey = add('font', `family-${slugify(fontFamily)}`, cssString(fontFamily));
+            properties['font-family'] = { ref: `font-${familyKey}`, value: cssString(fontFamily) };
+        }
+        if (fontWeight) {
+            const weightKey = add('font', `weight-${fontWeight}`, String(fontWeight));
+            properties['font-weight'] = { ref: `font-${weightKey}`, value: String(fontWeight) };
+        }
+        if (fontSize) {
+            properties['font-size'] = { value: px(fontSize) };
+        }
+        if (typeof lineHeight === 'number') {
+            properties['line-height'] = { value: px(lineHeight) };
+        }
+        if (letterSpacing) {
+            properties['letter-spacing'] = { value: px(letterSpacing) };
+        }
+        if (textCase === 'UPPER') {
+            properties['text-transform'] = { value: 'uppercase' };
+        } else if (textCase === 'LOWER') {
+            properties['text-transform'] = { value: 'lowercase' };
+        } else if (textCase === 'TITLE') {
+            properties['text-transform'] = { value: 'capitalize' };
+        }
+        if (textDecoration === 'UNDERLINE') {
+            properties['text-decoration'] = { value: 'underline' };
+        } else if (textDecoration === 'STRIKETHROUGH') {
+            properties['text-decoration'] = { value: 'line-through' };
+        }
+
+        add('typography', textStyle.key, properties);
+    });
+
+    return groups;
+}
+
+export function generateCSS(tokens) {
+    const groups = collectCssTokens(tokens);
+    let css = `/* ${HEADER} */\n\n:root {\n`;
+
+    ['color', 'font', 'spacing', 'radius', 'border', 'shadow', 'gradient'].forEach(group => {
+        Object.entries(groups[group]).forEach(([name, value]) => {
+            css += `    --${group}-${name}: ${value};\n`;
+        });
+    });
+    Object.entries(groups.blur).forEach(([name, blur]) => {
+        css += `    --blur-${name}: ${blur.value};\n`;
+    });
+
+    // Variables in their default mode; aliases stay live references
+    const variableValue = (variable, mode) =>
+        variable.refs[mode] ? `var(--${variable.refs[mode]})` : variable.values[mode];
+    groups.variables.forEach(collection => {
+        collection.variables.forEach(variable => {
+            const value = variableValue(variable, collection.defaultMode);
+            if (value !== null) {
+                css += `    --${variable.name}: ${value};\n`;
+            }
+        });
+    });
+    css += '}\n';
+
+    // Other modes switch per collection, e.g. <html data-theme="dark">
+    groups.variables.forEach(collection => {
+        collection.modes
+            .filter(mode => mode !== collection.defaultMode)
+            .forEach(mode => {
+                css += `\n[data-${collection.name}="${slugify(mode)}"] {\n`;
+                collection.variables.forEach(variable => {
+                    const value = variableValue(variable, mode);
+                    if (value !== null) {
+                        css += `    --${variable.name}: ${value};\n`;
+                    }
+                });
+                css += '}\n';
+            });
+    });
+
+    // Composite typography classes
+    Object.entries(groups.typography).forEach(([name, properties]) => {
+        css += `\n.text-${name} {\n`;
+        Object.entries(properties).forEach(([property, { ref, value }]) => {
+            css += `    ${property}: ${ref ? `var(--${ref})` : value};\n`;
+        });
+        css += '}\n';
+    });
+
+    Object.keys(groups.shadow).forEach(name => {
+        css += `\n.shadow-${name} {\n    box-shadow: var(--shadow-${name});\n}\n`;
+    });
+
+    Object.entries(groups.blur).forEach(([name, blur]) => {
+        css += `\n.blur-${name} {\n    ${blur.property}: var(--blur-${name});\n}\n`;
+    });
+
+    return css;
+}
+
+function scssMap(name, entries) {
+    if (entries.length === 0) return '';
+    return `$${name}: (\n${entries.map(([key, value]) => `    '${key}': ${value}`).join(',\n')}\n);\n`;
+}
+
+export function generateSCSS(tokens) {
+    const groups = collectCssTokens(tokens);
+    let scss = `// ${HEADER}\n`;
+
+    ['color', 'font', 'spacing', 'radius', 'border', 'shadow', 'gradient'].forEach(group => {
+        const entries = Object.entries(groups[group]);
+        if (entries.length === 0) return;
+        scss += '\n';
+        entries.forEach(([name, value]) => {
+            scss += `$${group}-${name}: ${value};\n`;
+        });
+    });
+
+    const blurs = Object.entries(groups.blur);
+    if (blurs.length > 0) {
+        scss += '\n';
+        blurs.forEach(([name, blur]) => {
+            scss += `$blur-${name}: ${blur.value};\n`;
+        });
+    }
+
+    // Variables resolve to their default mode; every mode is available in a map
+    groups.variables.forEach(collection => {
+        scss += '\n';
+        collection.variables.forEach(variable => {
+            const value = variable.values[collection.defaultMode];
+            if (value !== null) {
+                scss += `$${variable.name}: ${value};\n`;
+            }
+        });
+    });
+
+    // Maps for @each loops and map.get lookups
+    const maps = [
+        scssMap('colors', Object.keys(groups.color).map(name => [name, `$color-${name}`])),
+        scssMap('spacing', Object.keys(groups.spacing).map(name => [name, `$spacing-${name}`])),
+        scssMap('radii', Object.keys(groups.radius).map(name => [name, `$radius-${name}`])),
+        scssMap('shadows', Object.keys(groups.shadow).map(name => [name, `$shadow-${name}`])),
+        scssMap('gradients', Object.keys(groups.gradient).map(name => [name, `$gradient-${name}`])),
+        scssMap('blurs', blurs.map(([name]) => [name, `$blur-${name}`])),
+        scssMap('typography', Object.entries(groups.typography).map(([name, properties]) => [
+            name,
+            `(\n${Object.entries(properties)
+                .map(([property, { ref, value }]) => `        '${property}': ${ref ? `$${ref}` : value}`)
+                .join(',\n')}\n    )`
+        ])),
+        ...groups.variables.map(collection => scssMap(`${collection.name}-modes`, collection.modes.map(mode => [
+            slugify(mode),
+            `(\n${collection.variables
+                .filter(variable => variable.values[mode] !== null)
+                .map(variable => `        '${variable.name}': ${variable.values[mode]}`)
+                .join(',\n')}\n    )`
+        ])))
+    ].filter(Boolean);
+    if (maps.length > 0) {
+        scss += '\n' + maps.join('\n');
+    }
+
+    // Typography mixins apply every property of a text style at once
+    Object.entries(groups.typography).forEach(([name, properties]) => {
+        scss += `\n@mixin text-${name} {\n`;
+        Object.entries(properties).forEach(([property, { ref, value }]) => {
+            scss += `    ${property}: ${ref ? `$${ref}` : value};\n`;
+        });
+        scss += '}\n';
+    });
+
+    blurs.forEach(([name, blur]) => {
+        scss += `\n@mixin blur-${name} {\n    ${blur.property}: $blur-${name};\n}\n`;
+    });
+
+    return scss;
+}
@@ -0,0 +1,230 @@
+import { figmaColorToHex } from '../utils/color.js';
+import { px } from '../utils/css.js';
+import { flattenTypography } from '../processors/token-processor.js';
+import { variableTokenType } from '../processors/variable-processor.js';
+
+// Figma's rectangleCornerRadii order
+const RADIUS_CORNERS = ['top-left', 'top-right', 'bottom-right', 'bottom-left'];
+
+// DTCG names may not contain '{', '}' or '.', and may not start with '$'
+function toTokenName(segment) {
+    return segment
+        .trim()
+        .replace(/[{}.]/g, '-')
+        .replace(/^\$/, '')
+        .replace(/\s+/g, '-')
+        .toLowerCase() || 'unnamed';
+}
+
+// Style names ("Brand/Primary 500") are used as-is; layer paths
+// ("Document/Page 1/Frame/Layer") drop the document root
+function toPath(token) {
+    const segments = token.name.split('/').map(toTokenName);
+    return segments.length > 1 && !token.styleId ? segments.slice(1) : segments;
+}
+
+function isToken(entry) {
+    return entry !== undefined && entry.$value !== undefined;
+}
+
+// Place a token at group/path, suffixing names already taken; returns the dotted path
+function setToken(root, path, token) {
+    const keys = [];
+    let group = root;
+    path.slice(0, -1).forEach(segment => {
+        let key = segment;
+        while (isToken(group[key])) {
+            key = `${key}-group`;
+        }
+        group[key] = group[key] || {};
+        group = group[key];
+        keys.push(key);
+    });
+
+    const leaf = path[path.length - 1];
+    let name = leaf;
+    let index = 2;
+    while (group[name]) {
+        name = `${leaf}-${index++}`;
+    }
+    group[name] = token;
+    return [...keys, name].join('.');
+}
+
+function hasTokens(group) {
+    return Object.values(group).some(entry => isToken(entry) || hasTokens(entry));
+}
+
+function colorHex(colorToken) {
+    const { r, g, b } = colorToken.color;
+    return figmaColorToHex({ r: r / 255, g: g / 255, b: b / 255, a: colorToken.opacity ?? 1 });
+}
+
+export function generateDTCGTokens(tokens) {
+    const output = {
+        color: {},
+        font: {
+            family: {},
+            weight: {}
+        },
+        typography: {},
+        spacing: {},
+        shadow: {},
+        blur: {},
+        gradient: {},
+        border: {},
+        radius: {}
+    };
+
+    // Colors first; repeated values and shadow colors alias the first token with that value
+    const colorRefs = new Map();
+    Object.values(tokens.colors).flat().forEach(colorToken => {
+        const value = colorHex(colorToken);
+        const ref = setToken(output.color, toPath(colorToken), {
+            $type: 'color',
+            $value: colorRefs.get(value) || value,
+            ...(colorToken.description && { $description: colorToken.description })
+        });
+        if (!colorRefs.has(value)) {
+            colorRefs.set(value, `{color.${ref}}`);
+        }
+    });
+
+    // Typography, with font family and weight as shared primitives
+    flattenTypography(tokens).forEach(textStyle => {
+        const { fontFamily, fontWeight, fontSize, lineHeight, letterSpacing } = textStyle.style;
+        const value = {};
+
+        if (fontFamily) {
+            const familyName = toTokenName(fontFamily);
+            output.font.family[familyName] = { $type: 'fontFamily', $value: fontFamily };
+            value.fontFamily = `{font.family.${familyName}}`;
+        }
+        if (fontWeight) {
+            output.font.weight[fontWeight] = { $type: 'fontWeight', $value: fontWeight };
+            value.fontWeight = `{font.weight.${fontWeight}}`;
+        }
+        if (fontSize) {
+            value.fontSize = px(fontSize);
+        }
+        if (typeof lineHeight === 'number' && fontSize) {
+            value.lineHeight = Math.round((lineHeight / fontSize) * 1000) / 1000;
+        }
+        value.letterSpacing = px(letterSpacing);
+
+        setToken(output.typography, toPath(textStyle), {
+            $type: 'typography',
+            $value: value,
+            ...(textStyle.description && { $description: textStyle.description })
+        });
+    });
+
+    // Spacing from auto-layout frames
+    tokens.spacing.forEach(spacing => {
+        const group = {};
+        if (spacing.itemSpacing !== undefined) {
+            group.gap = { $type: 'dimension', $value: px(spacing.itemSpacing) };
+        }
+        Object.entries(spacing.padding).forEach(([side, value]) => {
+            if (value !== undefined) {
+                group[`padding-${side}`] = { $type: 'dimension', $value: px(value) };
+            }
+        });
+        setToken(output.spacing, toPath(spacing), group);
+    });
+
+    // Shadows and blurs
+    tokens.effects.shadows.forEach(shadow => {
+        const effect = shadow.value;
+        const color = effect.color ? figmaColorToHex(effect.color) : '#000000';
+        setToken(output.shadow, toPath(shadow), {
+            $type: 'shadow',
+            $value: {
+                color: colorRefs.get(color) || color,
+                offsetX: px(effect.offset?.x),
+                offsetY: px(effect.offset?.y),
+                blur: px(effect.radius),
+                spread: px(effect.spread),
+                ...(effect.type === 'INNER_SHADOW' && { inset: true })
+            },
+            ...(shadow.description && { $description: shadow.description })
+        });
+    });
+
+    tokens.effects.blurs.forEach(blur => {
+        setToken(output.blur, toPath(blur), {
+            $type: 'dimension',
+            $value: px(blur.value.radius),
+            $extensions: {
+                'com.figma': { effectType: blur.type }
+            }
+        });
+    });
+
+    tokens.gradients.forEach(gradient => {
+        setToken(output.gradient, toPath(gradient), {
+            $type: 'gradient',
+            $value: gradient.stops.map(stop => ({
+                color: colorRefs.get(stop.color) || stop.color,
+                position: stop.position
+            })),
+            ...(gradient.description && { $description: gradient.description }),
+            $extensions: {
+                'com.figma': { gradientType: gradient.type, css: gradient.css }
+            }
+        });
+    });
+
+    tokens.borders.forEach(border => {
+        setToken(output.border, toPath(border), {
+            $type: 'border',
+            $value: {
+                color: colorRefs.get(border.color) || border.color,
+                width: px(border.weight),
+                style: border.dashPattern.length > 0 ? 'dashed' : 'solid'
+            }
+        });
+    });
+
+    // Per-corner radii become a group with one dimension token per corner
+    tokens.radii.forEach(radius => {
+        setToken(output.radius, toPath(radius), Array.isArray(radius.value)
+            ? Object.fromEntries(radius.value.map((value, index) =>
+                [RADIUS_CORNERS[index], { $type: 'dimension', $value: px(value) }]))
+            : { $type: 'dimension', $value: px(radius.value) });
+    });
+
+    // Variable collections: the default mode is the $value, every mode is kept in $extensions
+    const variableRef = name => `{${name.split('/').map(toTokenName).join('.')}}`;
+    tokens.variables.forEach(collection => {
+        const collectionName = toTokenName(collection.name);
+        output[collectionName] = output[collectionName] || {};
+
+        collection.variables.forEach(variable => {
+            const type = variableTokenType(variable);
+            const modeValue = mode => {
+                const value = variable.values[mode];
+                if (value === null) return null;
+                if (variable.aliases[mode]) return variableRef(variable.aliases[mode]);
+                return type === 'dimension' && typeof value === 'number' ? px(value) : value;
+            };
+
+            setToken(output[collectionName], variable.name.split('/').map(toTokenName), {
+                ...(!['string', 'boolean'].includes(type) && { $type: type }),
+                $value: modeValue(collection.defaultMode),
+                ...(variable.description && { $description: variable.description }),
+                $extensions: {
+                    'com.figma': {
+                        variableId: variable.id,
+                        modes: Object.fromEntries(collection.modes.map(mode => [mode, modeValue(mode)]))
+                    }
+                }
+            });
+        });
+    });
+
+    // Omit empty groups
+    return Object.fromEntries(
+        Object.entries(output).filter(([_, group]) => hasTokens(group))
+    );
+}
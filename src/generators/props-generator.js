@@ -0,0 +1,45 @@
+import { layerName, pascalCase, uniqueKey } from '../utils/naming.js';
+import { propTsType, propDefaultLabel } from '../processors/component-props.js';
+
+const HEADER = 'Generated by fig4ai from Figma component properties';
+
+// Figma descriptions may span lines or contain "*/", which would end the comment early
+function docComment(texts, indent = '') {
+    const lines = texts.flatMap(text => String(text).split('\n')).map(line => line.replace(/\*\//g, '*\\/'));
+    if (lines.length === 0) return '';
+    if (lines.length === 1) return `${indent}/** ${lines[0]} */\n`;
+    return `${indent}/**\n${lines.map(line => `${indent} * ${line}`).join('\n')}\n${indent} */\n`;
+}
+
+// One props interface per component set or component with properties. Every
+// Figma property has a default, so every prop is optional.
+export function generatePropsTypes(tokens) {
+    const componentNames = Object.fromEntries(tokens.components.map(component => [component.id, layerName(component.name)]));
+    const withProps = tokens.components.filter(component => component.props?.props.length > 0);
+    const usesReactNode = withProps.some(component => component.props.props.some(prop => prop.type === 'INSTANCE_SWAP'));
+    const taken = {};
+
+    let ts = `// ${HEADER}\n`;
+    if (usesReactNode) {
+        ts += `\nimport type { ReactNode } from 'react';\n`;
+    }
+
+    withProps.forEach(component => {
+        const interfaceName = uniqueKey(taken, `${pascalCase(layerName(component.name))}Props`);
+        taken[interfaceName] = true;
+
+        ts += '\n' + docComment([component.description, `Figma: ${component.name} (${component.id})`].filter(Boolean));
+        ts += `export interface ${interfaceName} {\n`;
+        component.props.props.forEach(prop => {
+            const defaultLabel = propDefaultLabel(prop, componentNames);
+            ts += docComment([
+                `Figma ${prop.type.toLowerCase().replace('_', ' ')} property "${prop.figmaName}"`,
+                defaultLabel !== null ? `@default ${defaultLabel}` : null
+            ].filter(Boolean), '    ');
+            ts += `    ${prop.name}?: ${propTsType(prop)};\n`;
+        });
+        ts += '}\n';
+    });
+
+    return ts;
+}
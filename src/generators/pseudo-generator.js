@@ -1,136 +1,62 @@
-import OpenAI from 'openai';
 import ora from 'ora';
 import chalk from 'chalk';
 import { rgbToHex } from '../utils/color.js';
-import { ClaudeClient } from '../utils/claude-api.js';
-import { getFigmaImage } from '../utils/api.js';
+import { createProvider } from '../utils/llm-providers.js';
+import { boundVariableName, collectBoundVariables } from '../processors/variable-processor.js';
+import { findPropsSchema } from '../processors/component-props.js';
+import { determineElementType, renderPseudoXML } from './pseudo-renderer.js';
 
 let client;
 let hasAICapability = false;
-let currentModel = 'claude';
-
-// Function to convert to OpenAI function format
-function toOpenAIFormat(functions) {
-    return functions.map(fn => {
-        // For OpenAI, we need to flatten the schema slightly differently
-        // and ensure all nested objects are properly defined
-        const parameters = {
-            type: "object",
-            properties: {
-                ...fn.input_schema.properties,
-                // Ensure nested objects are properly defined for OpenAI's schema
-                layout: {
-                    type: "object",
-                    description: "Layout system details",
-                    properties: {
-                        type: {
-                            type: "string",
-                            enum: ["flex", "grid", "free"],
-                            description: "The type of layout system used"
-                        },
-                        spacing: {
-                            type: "number",
-                            description: "Space between elements"
-                        },
-                        padding: {
-                            type: "object",
-                            description: "Frame padding values",
-                            properties: {
-                                top: { type: "number" },
-                                right: { type: "number" },
-                                bottom: { type: "number" },
-                                left: { type: "number" }
-                            },
-                            required: ["top", "right", "bottom", "left"]
-                        }
-                    },
-                    required: ["type", "spacing", "padding"]
-                },
-                styling: {
-                    type: "object",
-                    description: "Frame styling information",
-                    properties: {
-                        background: {
-                            type: "object",
-                            description: "Background styling",
-                            properties: {
-                                color: { type: "string" },
-                                opacity: { type: "number" }
-                            }
-                        },
-                        effects: {
-                            type: "array",
-                            description: "Visual effects like shadows",
-                            items: {
-                                type: "object",
-                                properties: {
-                                    type: { type: "string" },
-                                    value: { type: "object" }
-                                }
-                            }
-                        },
-                        constraints: {
-                            type: "object",
-                            description: "Layout constraints",
-                            properties: {
-                                horizontal: { type: "string" },
-                                vertical: { type: "string" }
-                            }
-                        }
-                    },
-                    required: ["background", "effects", "constraints"]
-                }
-            },
-            required: fn.input_schema.required
-        };
-
-        return {
-            name: fn.name,
-            description: fn.description,
-            parameters
-        };
-    });
-}
-
-// Function to convert to Claude tool format
-function toClaudeFormat(functions) {
-    return functions.map(fn => ({
-        name: fn.name,
-        description: fn.description,
-        input_schema: fn.input_schema
-    }));
-}
 
-export function initializeAI(model = 'claude') {
+// `config` is a resolveLLMConfig result
+export function initializeAI(config) {
     // Check if --no-ai flag is present
-    if (process.argv.includes('--no-ai')) {
+    if (process.argv.includes('--no-ai') || !config || config.missing.length > 0) {
         hasAICapability = false;
         return;
     }
 
     try {
-        currentModel = model.toLowerCase();
-        if (model === 'gpt4' && process.env.OPENAI_API_KEY) {
-            client = new OpenAI({
-                apiKey: process.env.OPENAI_API_KEY
-            });
-            hasAICapability = true;
-        } else if (model === 'claude' && process.env.CLAUDE_API_KEY) {
-            client = new ClaudeClient(process.env.CLAUDE_API_KEY);
-            hasAICapability = true;
-        }
+        client = createProvider(config);
+        hasAICapability = true;
     } catch (error) {
         console.warn(chalk.yellow('Failed to initialize AI client:', error.message));
         hasAICapability = false;
     }
 }
 
+function findNode(node, id) {
+    if (!node) return null;
+    if (node.id === id) return node;
+    for (const child of node.children || []) {
+        const found = findNode(child, id);
+        if (found) return found;
+    }
+    return null;
+}
+
+// Rule-based pseudo-XML of the main component, used without AI
+function renderComponent(component, instance, tokens, figmaData) {
+    const node = findNode(figmaData.document, component.id);
+    return {
+        componentName: component.name,
+        pseudoCode: node
+            ? renderPseudoXML(node, { figmaData, tokens, title: component.name })
+            : `# ${component.name}\n${JSON.stringify(instance, null, 2)}`
+    };
+}
+
+function renderFrame(frame, canvas, tokens, figmaData) {
+    return {
+        frameName: frame.name,
+        pseudoCode: renderPseudoXML(frame, { figmaData, tokens, title: `${frame.name} (Canvas: ${canvas.name})` })
+    };
+}
+
 async function generatePseudoComponent(component, instance, tokens, figmaData) {
     if (!hasAICapability || !client) {
-        return {
-            componentName: component.name,
-            pseudoCode: `# ${component.name}\n\`\`\`\n${JSON.stringify(instance, null, 2)}\n\`\`\``
-        };
+        return renderComponent(component, instance, tokens, figmaData);
     }
 
     // Create a more detailed design system summary with exact values
@@ -148,31 +74,36 @@ async function generatePseudoComponent(component, instance, tokens, figmaData) {
                 name: c.name, 
                 hex: c.hex,
                 rgb: `${c.color.r},${c.color.g},${c.color.b}`,
-                opacity: c.opacity
+                opacity: c.opacity,
+                variable: c.variable
             })),
             secondary: tokens.colors.secondary.map(c => ({ 
                 name: c.name, 
                 hex: c.hex,
                 rgb: `${c.color.r},${c.color.g},${c.color.b}`,
-                opacity: c.opacity
+                opacity: c.opacity,
+                variable: c.variable
             })),
             text: tokens.colors.text.map(c => ({ 
                 name: c.name, 
                 hex: c.hex,
                 rgb: `${c.color.r},${c.color.g},${c.color.b}`,
-                opacity: c.opacity
+                opacity: c.opacity,
+                variable: c.variable
             })),
             background: tokens.colors.background.map(c => ({ 
                 name: c.name, 
                 hex: c.hex,
                 rgb: `${c.color.r},${c.color.g},${c.color.b}`,
-                opacity: c.opacity
+                opacity: c.opacity,
+                variable: c.variable
             })),
             other: tokens.colors.other.map(c => ({ 
                 name: c.name, 
                 hex: c.hex,
                 rgb: `${c.color.r},${c.color.g},${c.color.b}`,
-                opacity: c.opacity
+                opacity: c.opacity,
+                variable: c.variable
             }))
         },
         spacing: tokens.spacing.map(s => ({
@@ -200,7 +131,21 @@ async function generatePseudoComponent(component, instance, tokens, figmaData) {
                 type: b.type,
                 ...b.value
             }))
-        }
+        },
+        gradients: tokens.gradients.map(g => ({
+            name: g.name,
+            type: g.type,
+            css: g.css
+        })),
+        borders: tokens.borders.map(b => ({
+            name: b.name,
+            css: b.css,
+            align: b.align
+        })),
+        radii: tokens.radii.map(r => ({
+            name: r.name,
+            css: r.css
+        }))
     };
 
     // Extract component-specific styles and references
@@ -220,6 +165,7 @@ async function generatePseudoComponent(component, instance, tokens, figmaData) {
                         styleId,
                         styleName: style?.name || 'Unknown Style',
                         styleType: 'fill',
+                        variable: boundVariableName(fill.boundVariables?.color, figmaData.variableSet),
                         description: styleDefinition?.description || null,
                         color: {
                             hex: rgbToHex(
@@ -234,6 +180,7 @@ async function generatePseudoComponent(component, instance, tokens, figmaData) {
                 }
                 return {
                     type: fill.type,
+                    variable: boundVariableName(fill.boundVariables?.color, figmaData.variableSet),
                     color: {
                         hex: rgbToHex(
                             Math.round(fill.color.r * 255),
@@ -276,6 +223,9 @@ async function generatePseudoComponent(component, instance, tokens, figmaData) {
         })
     };
 
+    // Variables bound anywhere in the component, e.g. { property: 'fills[0]', variable: 'Colors/Primary' }
+    componentStyles.variables = collectBoundVariables(instance, figmaData.variableSet);
+
     // Expand all style references
     if (instance.styles) {
         Object.entries(instance.styles).forEach(([key, styleId]) => {
@@ -292,26 +242,26 @@ async function generatePseudoComponent(component, instance, tokens, figmaData) {
         });
     }
 
-    const functions = [
-        {
-            name: "create_pseudo_component",
-            description: "Generate a pseudo-XML component based on Figma component details. The component should include all styling information, using style references when available and direct values when not. The output should be valid XML-like syntax with proper nesting and attribute formatting. Consider accessibility, maintainability, and design system consistency in the output.",
-            input_schema: {
-                type: "object",
-                properties: {
-                    componentName: {
-                        type: "string",
-                        description: "The name of the component"
-                    },
-                    pseudoCode: {
-                        type: "string",
-                        description: "The pseudo-XML code for the component with detailed styling, including accessibility attributes, style references, and comprehensive documentation"
-                    }
+    const tool = {
+        name: "create_pseudo_component",
+        description: "Generate a pseudo-XML component based on Figma component details. The component should include all styling information, using style references when available and direct values when not. The output should be valid XML-like syntax with proper nesting and attribute formatting. Consider accessibility, maintainability, and design system consistency in the output.",
+        input_schema: {
+            type: "object",
+            properties: {
+                componentName: {
+                    type: "string",
+                    description: "The name of the component"
                 },
-                required: ["componentName", "pseudoCode"]
-            }
+                pseudoCode: {
+                    type: "string",
+                    description: "The pseudo-XML code for the component with detailed styling, including accessibility attributes, style references, and comprehensive documentation"
+                }
+            },
+            required: ["componentName", "pseudoCode"]
         }
-    ];
+    };
+
+    const propsSchema = findPropsSchema(tokens.components, component.id);
 
     const prompt = `Design System Details:
 
@@ -324,16 +274,21 @@ Name: ${component.name}
 Type: ${component.type}
 Description: ${component.description || 'No description provided'}
 Size: ${instance.size.width}x${instance.size.height}
+${figmaData.assets?.has(component.id) ? `Render: ${figmaData.assets.get(component.id).path}\n` : ''}${component.variantProperties ? `Variant: ${JSON.stringify(component.variantProperties)}\n` : ''}
+${propsSchema ? `Props API (expose these as typed props; variant props select between the variants):
+\`\`\`json
+${JSON.stringify(propsSchema.schema.props, null, 2)}
+\`\`\`
 
-Component Specific Styles and References:
+` : ''}Component Specific Styles and References:
 \`\`\`
 ${JSON.stringify(componentStyles, null, 2)}
 \`\`\`
 
 Requirements:
 1. Generate semantic, accessible pseudo-XML code that represents this component
-2. Use style references (styleId) when available instead of direct values
-3. Include ALL styling details (colors, shadows, effects) with exact values
+2. Use style references (styleId) and variable references ({Collection/Name}) when available instead of direct values, and expose the Props API when given
+3. Include ALL styling details (colors, gradients, borders, radii, shadows, effects) with exact values
 4. Include ARIA attributes and roles for accessibility
 5. Document style decisions and token usage in comments
 6. Specify exact padding, margins, and spacing values
@@ -359,262 +314,188 @@ Example format:
 Generate ONLY the pseudo-XML code with detailed styling attributes, preferring style references over direct values.`;
 
     try {
-        const formattedFunctions = currentModel === 'gpt4' ? toOpenAIFormat(functions) : toClaudeFormat(functions);
-        
-        if (currentModel === 'gpt4') {
-            const completion = await client.chat.completions.create({
-                model: 'gpt-4',
-                messages: [{ role: "user", content: prompt }],
-                functions: formattedFunctions,
-                function_call: { name: "create_pseudo_component" }
-            });
-
-            const response = JSON.parse(completion.choices[0].message.function_call.arguments);
-            return response;
-        } else {
-            const completion = await client.chat(
-                [{ role: "user", content: prompt }],
-                formattedFunctions,
-                { name: "create_pseudo_component" }
-            );
-
-            const response = JSON.parse(completion.choices[0].message.function_call.arguments);
-            return response;
-        }
+        return await client.callTool({ prompt, tool });
     } catch (error) {
-        console.warn(chalk.yellow(`Skipping pseudo generation for component ${component.name} - ${error.message}`));
-        return {
-            componentName: component.name,
-            pseudoCode: `# ${component.name}\n${JSON.stringify(instance, null, 2)}`
-        };
+        console.warn(chalk.yellow(`Falling back to rule-based pseudo-code for component ${component.name} - ${error.message}`));
+        return renderComponent(component, instance, tokens, figmaData);
     }
 }
 
-function determineElementType(node) {
-    if (node.type === 'RECTANGLE') {
-        // Convert to Image only if there's clear image evidence
-        if (node.fills?.some(fill => 
-            fill.type === 'IMAGE' || 
-            fill.imageRef || 
-            fill.imageHash
-        )) {
-            return 'Image';
-        }
-        return 'Rectangle';
-    }
-    
-    if (node.type === 'FRAME') {
-        // Convert to semantic containers based on content/purpose
-        if (node.children?.every(child => 
-            child.type === 'TEXT' || 
-            child.layoutMode === 'VERTICAL'
-        )) {
-            return 'Container';
+// Every Image element in a frame, however deeply nested
+function findImageNodes(node, found = []) {
+    node.children?.forEach(child => {
+        if (determineElementType(child) === 'Image') {
+            found.push(child);
         }
-        return 'Frame';
-    }
-
-    return node.type;
+        findImageNodes(child, found);
+    });
+    return found;
 }
 
 async function generatePseudoFrame(frame, components, tokens, canvas, figmaData) {
     if (!hasAICapability || !client) {
-        return {
-            frameName: frame.name,
-            pseudoCode: `# ${frame.name} (Canvas: ${canvas.name})\n${JSON.stringify(frame, null, 2)}`
-        };
+        return renderFrame(frame, canvas, tokens, figmaData);
     }
 
-    // Process any images in the frame
+    // Local image files from --assets: the original bitmap, else the node
+    // render. Figma's image URLs expire, so they never go into the prompt.
     const imageRefs = new Map();
-    if (frame.children) {
-        for (const child of frame.children) {
-            if (determineElementType(child) === 'Image') {
-                // Look for image fills
-                const imageFill = child.fills?.find(fill => 
-                    fill.type === 'IMAGE' && 
-                    (fill.imageRef || fill.imageHash)
-                );
-                
-                if (imageFill) {
-                    try {
-                        console.log('Processing image node:', {
-                            id: child.id,
-                            name: child.name
-                        });
-                        
-                        if (!figmaData.fileId) {
-                            throw new Error('No file ID provided in Figma data');
-                        }
-                        
-                        console.log('Using File ID:', figmaData.fileId);
-                        const imageData = await getFigmaImage(figmaData.fileId, child.id);
-                        imageRefs.set(child.id, imageData.url);
-                        console.log(chalk.green(`✓ Fetched image URL for node ${child.id}`));
-                    } catch (error) {
-                        console.warn(chalk.yellow(`Warning: Failed to fetch image URL for node ${child.id}: ${error.message}`));
-                    }
-                }
-            }
+    const imageNodes = findImageNodes(frame);
+    imageNodes.forEach(child => {
+        const imageFill = child.fills?.find(fill => fill.type === 'IMAGE' && fill.imageRef);
+        const local = (imageFill && figmaData.imageFills?.get(imageFill.imageRef)) || figmaData.assets?.get(child.id);
+        if (local) {
+            imageRefs.set(child.id, local.path);
         }
-    }
+    });
 
-    // Add image URLs to the prompt context
-    const imageContext = imageRefs.size > 0 ? `\nImage References:\n${
-        Array.from(imageRefs.entries())
-            .map(([ref, url]) => `${ref}: ${url}`)
-            .join('\n')
-    }\n` : '';
-
-    const functions = [
-        {
-            name: "create_pseudo_frame",
-            description: "Generate a semantic, accessible pseudo-XML frame layout based on Figma frame details. Focus on capturing layout structure, styling, and component relationships in a maintainable format.",
-            input_schema: {
-                type: "object",
-                properties: {
-                    frameName: {
-                        type: "string",
-                        description: "The name of the frame"
-                    },
-                    pseudoCode: {
-                        type: "string",
-                        description: "The semantic pseudo-XML code for the frame layout"
-                    },
-                    layout: {
-                        type: "object",
-                        description: "Layout system details",
-                        properties: {
-                            type: { 
-                                type: "string",
-                                enum: ["stack", "grid", "free"],
-                                description: "Primary layout type"
-                            },
-                            direction: {
-                                type: "string",
-                                enum: ["vertical", "horizontal"],
-                                description: "Stack direction"
-                            },
-                            alignment: {
-                                type: "object",
-                                properties: {
-                                    main: {
-                                        type: "string",
-                                        enum: ["start", "center", "end", "spaceBetween"],
-                                        description: "Main axis alignment"
-                                    },
-                                    cross: {
-                                        type: "string",
-                                        enum: ["start", "center", "end", "stretch"],
-                                        description: "Cross axis alignment"
-                                    }
-                                }
-                            },
-                            spacing: {
-                                type: "number",
-                                description: "Space between elements"
-                            },
-                            padding: {
-                                type: "object",
-                                properties: {
-                                    top: { type: "number" },
-                                    right: { type: "number" },
-                                    bottom: { type: "number" },
-                                    left: { type: "number" }
+    const tool = {
+        name: "create_pseudo_frame",
+        description: "Generate a semantic, accessible pseudo-XML frame layout based on Figma frame details. Focus on capturing layout structure, styling, and component relationships in a maintainable format.",
+        input_schema: {
+            type: "object",
+            properties: {
+                frameName: {
+                    type: "string",
+                    description: "The name of the frame"
+                },
+                pseudoCode: {
+                    type: "string",
+                    description: "The semantic pseudo-XML code for the frame layout"
+                },
+                layout: {
+                    type: "object",
+                    description: "Layout system details",
+                    properties: {
+                        type: { 
+                            type: "string",
+                            enum: ["stack", "grid", "free"],
+                            description: "Primary layout type"
+                        },
+                        direction: {
+                            type: "string",
+                            enum: ["vertical", "horizontal"],
+                            description: "Stack direction"
+                        },
+                        alignment: {
+                            type: "object",
+                            properties: {
+                                main: {
+                                    type: "string",
+                                    enum: ["start", "center", "end", "spaceBetween"],
+                                    description: "Main axis alignment"
+                                },
+                                cross: {
+                                    type: "string",
+                                    enum: ["start", "center", "end", "stretch"],
+                                    description: "Cross axis alignment"
                                 }
                             }
+                        },
+                        spacing: {
+                            type: "number",
+                            description: "Space between elements"
+                        },
+                        padding: {
+                            type: "object",
+                            properties: {
+                                top: { type: "number" },
+                                right: { type: "number" },
+                                bottom: { type: "number" },
+                                left: { type: "number" }
+                            }
                         }
-                    },
-                    styling: {
-                        type: "object",
-                        description: "Visual styling",
-                        properties: {
-                            typography: {
-                                type: "object",
-                                properties: {
-                                    font: {
-                                        type: "object",
-                                        properties: {
-                                            family: { type: "string" },
-                                            weight: { type: "number" },
-                                            size: { type: "number" },
-                                            lineHeight: { type: "string" },
-                                            letterSpacing: { type: "string" },
-                                            style: { type: "string" }
-                                        }
-                                    },
-                                    color: {
-                                        type: "object",
-                                        properties: {
-                                            hex: { type: "string" },
-                                            opacity: { type: "number" }
-                                        }
+                    }
+                },
+                styling: {
+                    type: "object",
+                    description: "Visual styling",
+                    properties: {
+                        typography: {
+                            type: "object",
+                            properties: {
+                                font: {
+                                    type: "object",
+                                    properties: {
+                                        family: { type: "string" },
+                                        weight: { type: "number" },
+                                        size: { type: "number" },
+                                        lineHeight: { type: "string" },
+                                        letterSpacing: { type: "string" },
+                                        style: { type: "string" }
+                                    }
+                                },
+                                color: {
+                                    type: "object",
+                                    properties: {
+                                        hex: { type: "string" },
+                                        opacity: { type: "number" }
                                     }
                                 }
-                            },
-                            background: {
+                            }
+                        },
+                        background: {
+                            type: "object",
+                            properties: {
+                                type: {
+                                    type: "string",
+                                    enum: ["color", "image", "gradient"]
+                                },
+                                value: { type: "string" }
+                            }
+                        },
+                        border: {
+                            type: "object",
+                            properties: {
+                                radius: {
+                                    type: "array",
+                                    items: { type: "number" },
+                                    minItems: 4,
+                                    maxItems: 4,
+                                    description: "Corner radii [topLeft, topRight, bottomRight, bottomLeft]"
+                                }
+                            }
+                        },
+                        effects: {
+                            type: "array",
+                            items: {
                                 type: "object",
                                 properties: {
                                     type: {
                                         type: "string",
-                                        enum: ["color", "image", "gradient"]
+                                        enum: ["shadow", "blur", "inner-shadow"]
                                     },
-                                    value: { type: "string" }
-                                }
-                            },
-                            border: {
-                                type: "object",
-                                properties: {
-                                    radius: {
-                                        type: "array",
-                                        items: { type: "number" },
-                                        minItems: 4,
-                                        maxItems: 4,
-                                        description: "Corner radii [topLeft, topRight, bottomRight, bottomLeft]"
-                                    }
+                                    value: { type: "object" }
                                 }
-                            },
-                            effects: {
-                                type: "array",
-                                items: {
+                            }
+                        },
+                        image: {
+                            type: "object",
+                            description: "Image-specific styling and references",
+                            properties: {
+                                imageRef: { type: "string" },
+                                src: { type: "string" },
+                                sizing: {
                                     type: "object",
                                     properties: {
-                                        type: {
+                                        horizontal: { 
                                             type: "string",
-                                            enum: ["shadow", "blur", "inner-shadow"]
+                                            enum: ["fill", "fit", "stretch"]
                                         },
-                                        value: { type: "object" }
-                                    }
-                                }
-                            },
-                            image: {
-                                type: "object",
-                                description: "Image-specific styling and references",
-                                properties: {
-                                    imageRef: { type: "string" },
-                                    src: { type: "string" },
-                                    sizing: {
-                                        type: "object",
-                                        properties: {
-                                            horizontal: { 
-                                                type: "string",
-                                                enum: ["fill", "fit", "stretch"]
-                                            },
-                                            vertical: {
-                                                type: "string",
-                                                enum: ["fill", "fit", "stretch"]
-                                            }
+                                        vertical: {
+                                            type: "string",
+                                            enum: ["fill", "fit", "stretch"]
                                         }
                                     }
                                 }
                             }
                         }
                     }
-                },
-                required: ["frameName", "pseudoCode", "layout", "styling"]
-            }
+                }
+            },
+            required: ["frameName", "pseudoCode", "layout", "styling"]
         }
-    ];
+    };
 
     // Extract frame dimensions and properties for the summary
     const frameSize = frame.absoluteBoundingBox ? {
@@ -629,6 +510,8 @@ async function generatePseudoFrame(frame, components, tokens, canvas, figmaData)
         left: frame.paddingLeft || 0
     };
 
+    const variableBindings = collectBoundVariables(frame, figmaData.variableSet);
+
     const canvasSize = canvas.absoluteBoundingBox ? {
         width: canvas.absoluteBoundingBox.width,
         height: canvas.absoluteBoundingBox.height
@@ -642,13 +525,16 @@ Layout: ${frame.layoutMode || 'FREE'}
 Spacing: ${frame.itemSpacing || 0}
 Padding: ${JSON.stringify(framePadding)}
 Elements: ${frame.children?.length || 0}
-
-Image URLs:
-${Array.from(imageRefs.entries()).map(([nodeId, url]) => 
-    `${nodeId}: ${url} // Sample reference image: ${frame.children.find(c => c.id === nodeId)?.name || 'Unnamed image'}`
+${figmaData.assets?.has(frame.id) ? `Render: ${figmaData.assets.get(frame.id).path}\n` : ''}
+${imageRefs.size > 0 ? `Image Files:
+${Array.from(imageRefs.entries()).map(([nodeId, path]) =>
+    `${nodeId}: ${path} // Sample reference image: ${imageNodes.find(c => c.id === nodeId)?.name || 'Unnamed image'}`
 ).join('\n')}
+` : ''}
+${variableBindings.length > 0 ? `Variable Bindings (use {Collection/Name} instead of raw values):
+${variableBindings.map(b => `${b.nodeId} (${b.nodeName}) ${b.property}: {${b.variable}}`).join('\n')}
 
-Canvas Summary:
+` : ''}Canvas Summary:
 Name: ${canvas.name}
 Type: ${canvas.type}
 Size: ${canvasSize.width}x${canvasSize.height}
@@ -673,7 +559,7 @@ Requirements:
 4. Include border radius and effects when present
 5. Only use position information for free layout or absolute positioning
 6. Convert Rectangle to Image only when image evidence exists
-7. For Image elements, include both imageRef and src attributes
+7. For Image elements, include imageRef, and src only when an image file is listed above
 8. Preserve all text content exactly as specified
 9. Keep styling information semantic and complete
 10. Maintain proper nesting and hierarchy
@@ -692,7 +578,7 @@ Example format:
         fill="stretch"
         cornerRadius="8,8,0,0"
         imageRef="abc123"
-        src="https://figma-image-url.com/abc123"
+        src="assets/images/abc123.png"
     />
     <Text
         content="Heading"
@@ -714,34 +600,10 @@ Example format:
 Generate ONLY the pseudo-XML code without any additional explanation. Ensure all text content and styling from the frame data is accurately represented. For each Image element, include a comment above it indicating it is a sample reference image with its name.`;
 
     try {
-        const formattedFunctions = currentModel === 'gpt4' ? toOpenAIFormat(functions) : toClaudeFormat(functions);
-        
-        if (currentModel === 'gpt4') {
-            const completion = await client.chat.completions.create({
-                model: 'gpt-4',
-                messages: [{ role: "user", content: prompt }],
-                functions: formattedFunctions,
-                function_call: { name: "create_pseudo_frame" }
-            });
-
-            const response = JSON.parse(completion.choices[0].message.function_call.arguments);
-            return response;
-        } else {
-            const completion = await client.chat(
-                [{ role: "user", content: prompt }],
-                formattedFunctions,
-                { name: "create_pseudo_frame" }
-            );
-
-            const response = JSON.parse(completion.choices[0].message.function_call.arguments);
-            return response;
-        }
+        return await client.callTool({ prompt, tool });
     } catch (error) {
-        console.warn(chalk.yellow(`Skipping pseudo generation for frame ${frame.name} - ${error.message}`));
-        return {
-            frameName: frame.name,
-            pseudoCode: `# ${frame.name} (Canvas: ${canvas.name})\n${JSON.stringify(frame, null, 2)}`
-        };
+        console.warn(chalk.yellow(`Falling back to rule-based pseudo-code for frame ${frame.name} - ${error.message}`));
+        return renderFrame(frame, canvas, tokens, figmaData);
     }
 }
 
@@ -750,7 +612,7 @@ export async function generateAllPseudoCode(components, instances, frames, token
     const spinner = ora();
 
     if (!hasAICapability) {
-        spinner.info('Running without AI enhancement - will output raw data');
+        spinner.info('Running without AI enhancement - using rule-based pseudo-code');
     }
 
     // Generate components first
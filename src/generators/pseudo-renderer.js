@@ -0,0 +1,326 @@
+import { figmaColorToHex } from '../utils/color.js';
+import { shadowToCss, blurToCss, gradientToCss, borderToCss } from '../utils/css.js';
+import { layerName, camelCase, pascalCase } from '../utils/naming.js';
+import { boundVariableName } from '../processors/variable-processor.js';
+import { findPropsSchema, propertyDisplayName } from '../processors/component-props.js';
+
+const INDENT = '    ';
+// Longer opening tags put one attribute per line
+const MAX_LINE = 100;
+
+const SHAPE_TYPES = ['RECTANGLE', 'ELLIPSE', 'VECTOR', 'STAR', 'LINE', 'POLYGON', 'BOOLEAN_OPERATION', 'REGULAR_POLYGON'];
+
+const MAIN_ALIGN = { MIN: 'start', CENTER: 'center', MAX: 'end', SPACE_BETWEEN: 'spaceBetween' };
+const CROSS_ALIGN = { MIN: 'start', CENTER: 'center', MAX: 'end', BASELINE: 'baseline' };
+const IMAGE_SIZING = { FILL: 'fill', FIT: 'fit', STRETCH: 'stretch', TILE: 'tile', CROP: 'stretch' };
+
+function hasImageFill(node) {
+    return node.fills?.some(fill =>
+        fill.type === 'IMAGE' ||
+        fill.imageRef ||
+        fill.imageHash
+    );
+}
+
+// Semantic element type of a node: Container, Frame, Image, Text, Instance, ...
+export function determineElementType(node) {
+    if (node.type === 'RECTANGLE') {
+        // Convert to Image only if there's clear image evidence
+        if (hasImageFill(node)) {
+            return 'Image';
+        }
+        return 'Rectangle';
+    }
+
+    if (node.type === 'FRAME') {
+        // Convert to semantic containers based on content/purpose
+        if (node.children?.every(child =>
+            child.type === 'TEXT' ||
+            child.layoutMode === 'VERTICAL'
+        )) {
+            return 'Container';
+        }
+        return 'Frame';
+    }
+
+    if (node.type === 'TEXT') return 'Text';
+    if (node.type === 'INSTANCE') return 'Instance';
+    if (node.type === 'GROUP') return 'Group';
+    if (node.type === 'COMPONENT' || node.type === 'COMPONENT_SET') return 'Component';
+    if (SHAPE_TYPES.includes(node.type)) {
+        return hasImageFill(node) ? 'Image' : 'Vector';
+    }
+
+    return node.type;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function escapeAttribute(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/\n/g, '&#10;');
+}
+
+// Object literal in the style of the prompt examples: { font: { size: 16 } }
+function formatExpression(value) {
+    if (value && typeof value === 'object') {
+        const entries = Object.entries(value).map(([key, item]) => `${key}: ${formatExpression(item)}`);
+        return `{ ${entries.join(', ')} }`;
+    }
+    return JSON.stringify(value);
+}
+
+// Attribute values: strings are quoted, everything else is an expression in braces
+function formatAttribute([name, value]) {
+    return typeof value === 'string' ? `${name}="${escapeAttribute(value)}"` : `${name}={${formatExpression(value)}}`;
+}
+
+function openTag(tag, attributes, depth, selfClosing) {
+    const indent = INDENT.repeat(depth);
+    const entries = Object.entries(attributes).filter(([_, value]) => value !== null && value !== undefined);
+    const end = selfClosing ? ' />' : '>';
+    const inline = `${indent}<${tag}${entries.map(entry => ` ${formatAttribute(entry)}`).join('')}${end}`;
+    if (inline.length <= MAX_LINE || entries.length <= 1) return inline;
+    return `${indent}<${tag}\n${entries.map(entry => `${indent}${INDENT}${formatAttribute(entry)}`).join('\n')}\n${indent}${selfClosing ? '/>' : '>'}`;
+}
+
+function styleName(node, keys, figmaData) {
+    const styleId = keys.map(key => node.styles?.[key]).find(Boolean);
+    return styleId ? figmaData.styles?.[styleId]?.name || null : null;
+}
+
+// Visible paints as variable references, hex colors or CSS gradients
+function paintValues(paints, figmaData) {
+    return (paints || [])
+        .filter(paint => paint.visible !== false)
+        .map(paint => {
+            const variable = boundVariableName(paint.boundVariables?.color, figmaData.variableSet);
+            if (variable) return `{${variable}}`;
+            if (paint.type === 'SOLID') {
+                return figmaColorToHex({ ...paint.color, a: (paint.color.a ?? 1) * (paint.opacity ?? 1) });
+            }
+            if (paint.type.startsWith('GRADIENT_')) return gradientToCss(paint);
+            return null;
+        })
+        .filter(Boolean);
+}
+
+function imageSource(node, figmaData) {
+    const imageFill = node.fills?.find(fill => fill.type === 'IMAGE' && fill.visible !== false);
+    const original = imageFill && figmaData.imageFills?.get(imageFill.imageRef);
+    return {
+        imageFill,
+        src: original?.path || figmaData.assets?.get(node.id)?.path || null
+    };
+}
+
+function sizeAttributes(node, parent) {
+    const box = node.absoluteBoundingBox;
+    const sizing = (mode, value) => {
+        if (mode === 'FILL') return 'fill';
+        if (mode === 'HUG') return 'hug';
+        return value !== undefined ? String(round(value)) : null;
+    };
+    const attributes = {
+        width: sizing(node.layoutSizingHorizontal, box?.width),
+        height: sizing(node.layoutSizingVertical, box?.height)
+    };
+    // Auto-sized text takes its size from the content
+    if (node.type === 'TEXT') {
+        if (!node.layoutSizingHorizontal && node.textAutoResize === 'WIDTH_AND_HEIGHT') attributes.width = null;
+        if (!node.layoutSizingVertical && node.textAutoResize !== 'NONE') attributes.height = null;
+    }
+    // Position only matters without auto layout, or for absolutely positioned children
+    const absolute = parent && (!parent.layoutMode || parent.layoutMode === 'NONE' || node.layoutPositioning === 'ABSOLUTE');
+    if (absolute && box && parent.absoluteBoundingBox) {
+        attributes.x = String(round(box.x - parent.absoluteBoundingBox.x));
+        attributes.y = String(round(box.y - parent.absoluteBoundingBox.y));
+    }
+    return attributes;
+}
+
+function layoutAttributes(node) {
+    if (!node.layoutMode || node.layoutMode === 'NONE') {
+        return { layout: 'free' };
+    }
+    const padding = [node.paddingTop, node.paddingRight, node.paddingBottom, node.paddingLeft].map(value => round(value || 0));
+    return {
+        layout: 'stack',
+        direction: node.layoutMode === 'HORIZONTAL' ? 'horizontal' : 'vertical',
+        spacing: node.primaryAxisAlignItems === 'SPACE_BETWEEN' ? null : String(round(node.itemSpacing || 0)),
+        padding: padding.some(Boolean) ? padding.join(',') : null,
+        mainAlign: node.primaryAxisAlignItems && node.primaryAxisAlignItems !== 'MIN' ? MAIN_ALIGN[node.primaryAxisAlignItems] : null,
+        crossAlign: node.counterAxisAlignItems && node.counterAxisAlignItems !== 'MIN' ? CROSS_ALIGN[node.counterAxisAlignItems] : null,
+        wrap: node.layoutWrap === 'WRAP' ? 'true' : null
+    };
+}
+
+function decorationAttributes(node, figmaData, fillAttribute) {
+    const attributes = {};
+
+    const fills = paintValues(node.fills, figmaData);
+    if (fills.length > 0) attributes[fillAttribute] = fills.join(', ');
+    attributes.fillStyle = styleName(node, ['fill', 'fills'], figmaData);
+
+    const stroke = paintValues(node.strokes, figmaData)[0];
+    if (stroke && node.strokeWeight) {
+        attributes.border = borderToCss({ weight: node.strokeWeight, color: stroke, dashPattern: node.strokeDashes });
+    }
+
+    if (node.rectangleCornerRadii?.some(Boolean)) {
+        attributes.cornerRadius = node.rectangleCornerRadii.map(round).join(',');
+    } else if (node.cornerRadius) {
+        attributes.cornerRadius = String(round(node.cornerRadius));
+    }
+
+    const effects = (node.effects || []).filter(effect => effect.visible !== false);
+    const shadows = effects.filter(effect => effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW');
+    if (shadows.length > 0) attributes.shadow = shadows.map(shadowToCss).join(', ');
+    effects.filter(effect => effect.type === 'LAYER_BLUR' || effect.type === 'BACKGROUND_BLUR').forEach(effect => {
+        attributes[effect.type === 'LAYER_BLUR' ? 'blur' : 'backgroundBlur'] = blurToCss(effect).value;
+    });
+    attributes.effectStyle = styleName(node, ['effect', 'effects'], figmaData);
+
+    if (node.opacity !== undefined && node.opacity < 1) attributes.opacity = String(round(node.opacity));
+    return attributes;
+}
+
+function typography(node, figmaData) {
+    const style = node.style || {};
+    const font = {
+        family: style.fontFamily,
+        weight: style.fontWeight,
+        size: style.fontSize,
+        lineHeight: style.lineHeightPx ? `${round(style.lineHeightPx)}px` : undefined,
+        letterSpacing: style.letterSpacing ? `${round(style.letterSpacing)}px` : undefined,
+        style: style.italic ? 'italic' : undefined
+    };
+    const fill = node.fills?.find(paint => paint.visible !== false && paint.type === 'SOLID');
+    const variable = fill && boundVariableName(fill.boundVariables?.color, figmaData.variableSet);
+    const color = fill ? {
+        ...(variable ? { variable } : {}),
+        hex: figmaColorToHex({ ...fill.color, a: 1 }),
+        opacity: round((fill.color.a ?? 1) * (fill.opacity ?? 1))
+    } : undefined;
+    Object.keys(font).forEach(key => font[key] === undefined && delete font[key]);
+    if (Object.keys(font).length === 0 && !color) return null;
+    return Object.keys(font).length > 0 ? { font, ...(color ? { color } : {}) } : { color };
+}
+
+// Element name for an instance: its component (or component set), PascalCased
+function instanceComponentName(node, context) {
+    const local = findPropsSchema(context.tokens.components, node.componentId)?.component ||
+        context.tokens.components.find(component => component.id === node.componentId);
+    if (local) return pascalCase(layerName(local.name));
+    const meta = context.figmaData.components?.[node.componentId];
+    const set = meta?.componentSetId && context.figmaData.componentSets?.[meta.componentSetId];
+    return pascalCase(set?.name || meta?.name || node.name);
+}
+
+function instanceProps(node, context) {
+    const props = {};
+    Object.entries(node.componentProperties || {}).forEach(([key, property]) => {
+        const name = camelCase(propertyDisplayName(key));
+        if (property.type === 'BOOLEAN') {
+            props[name] = property.value;
+        } else if (property.type === 'INSTANCE_SWAP') {
+            props[name] = instanceComponentName({ componentId: property.value, name: String(property.value) }, context);
+        } else {
+            props[name] = String(property.value);
+        }
+    });
+    return props;
+}
+
+function renderNode(node, parent, depth, context) {
+    if (node.visible === false) return [];
+    const { figmaData } = context;
+    const indent = INDENT.repeat(depth);
+    const type = determineElementType(node);
+    const size = sizeAttributes(node, parent);
+
+    if (type === 'Text') {
+        return [openTag('Text', {
+            name: node.name,
+            content: node.characters ?? '',
+            textStyle: styleName(node, ['text'], figmaData),
+            typography: typography(node, figmaData),
+            align: node.style?.textAlignHorizontal && node.style.textAlignHorizontal !== 'LEFT'
+                ? node.style.textAlignHorizontal.toLowerCase()
+                : null,
+            ...size,
+            opacity: node.opacity !== undefined && node.opacity < 1 ? String(round(node.opacity)) : null
+        }, depth, true)];
+    }
+
+    if (type === 'Image') {
+        const { imageFill, src } = imageSource(node, figmaData);
+        return [
+            `${indent}${jsxComment(`Sample reference image: ${node.name}`)}`,
+            openTag('Image', {
+                name: node.name,
+                fill: IMAGE_SIZING[imageFill?.scaleMode] || 'fill',
+                ...size,
+                cornerRadius: decorationAttributes(node, figmaData, 'background').cornerRadius,
+                imageRef: imageFill?.imageRef || null,
+                src
+            }, depth, true)
+        ];
+    }
+
+    if (type === 'Instance') {
+        return [openTag(instanceComponentName(node, context), {
+            name: node.name,
+            ...instanceProps(node, context),
+            ...size
+        }, depth, true)];
+    }
+
+    if (type === 'Vector' || type === 'Rectangle') {
+        return [openTag(type, {
+            name: node.name,
+            ...size,
+            ...decorationAttributes(node, figmaData, 'fill'),
+            src: figmaData.assets?.get(node.id)?.path || null
+        }, depth, true)];
+    }
+
+    // Containers: frames, groups, components and anything else with children
+    const { src } = hasImageFill(node) ? imageSource(node, figmaData) : {};
+    const attributes = {
+        name: node.name,
+        ...layoutAttributes(node),
+        ...size,
+        ...decorationAttributes(node, figmaData, 'background'),
+        backgroundImage: src || null,
+        clip: node.clipsContent ? 'true' : null
+    };
+    const children = (node.children || []).flatMap(child => renderNode(child, node, depth + 1, context));
+    if (children.length === 0) {
+        return [openTag(type, attributes, depth, true)];
+    }
+    return [openTag(type, attributes, depth, false), ...children, `${indent}</${type}>`];
+}
+
+// Single-line JSX comment; "*/" in a layer or component name would end it early
+function jsxComment(text) {
+    return `{/* ${String(text).replace(/\*\//g, '*\\/').replace(/\s*\n\s*/g, ' ')} */}`;
+}
+
+// Pseudo-XML for a node tree built directly from the Figma data: auto layout,
+// fonts, fills, radii and effects map to attributes, instances become
+// component elements with their property values. The same input always
+// renders the same output.
+export function renderPseudoXML(node, { figmaData, tokens, title = null }) {
+    const lines = [];
+    if (title) lines.push(jsxComment(title));
+    const render = figmaData.assets?.get(node.id);
+    if (render) lines.push(jsxComment(`Render: ${render.path}`));
+    lines.push(...renderNode(node, null, 0, { figmaData, tokens }));
+    return lines.join('\n');
+}
@@ -0,0 +1,462 @@
+import { posix } from 'path';
+import { figmaColorToHex } from '../utils/color.js';
+import { px, cssString, shadowToCss, blurToCss, gradientToCss, borderToCss, radiusToCss } from '../utils/css.js';
+import { layerName, camelCase, pascalCase } from '../utils/naming.js';
+import { boundVariableName } from '../processors/variable-processor.js';
+import { collectCssTokens, generateCSS, variableCssName } from './css-generator.js';
+import { generatePropsTypes } from './props-generator.js';
+import { determineElementType } from './pseudo-renderer.js';
+
+const HEADER = 'Generated by fig4ai from Figma';
+const INDENT = '    ';
+
+const JUSTIFY = { MIN: 'flex-start', CENTER: 'center', MAX: 'flex-end', SPACE_BETWEEN: 'space-between' };
+const ALIGN = { MIN: 'flex-start', CENTER: 'center', MAX: 'flex-end', BASELINE: 'baseline' };
+const OBJECT_FIT = { FILL: 'cover', FIT: 'contain', STRETCH: 'fill', CROP: 'cover', TILE: 'none' };
+const TEXT_TRANSFORM = { UPPER: 'uppercase', LOWER: 'lowercase', TITLE: 'capitalize' };
+const TEXT_DECORATION = { UNDERLINE: 'underline', STRIKETHROUGH: 'line-through' };
+
+// Token CSS values -> var(--token), so generated styles reference tokens.css
+function tokenLookup(tokens) {
+    const groups = collectCssTokens(tokens);
+    const byValue = {};
+    ['color', 'font', 'spacing', 'radius', 'border', 'shadow', 'gradient'].forEach(group => {
+        byValue[group] = new Map();
+        Object.entries(groups[group]).forEach(([name, value]) => {
+            if (!byValue[group].has(value)) byValue[group].set(value, `var(--${group}-${name})`);
+        });
+    });
+    return { groups, byValue };
+}
+
+function tokenValue(context, group, value) {
+    return context.lookup.byValue[group].get(value) || value;
+}
+
+function indexNodes(document) {
+    const nodes = new Map();
+    const visit = node => {
+        if (!node) return;
+        nodes.set(node.id, node);
+        node.children?.forEach(visit);
+    };
+    visit(document);
+    return nodes;
+}
+
+function uniqueName(taken, name) {
+    let unique = name;
+    for (let index = 2; taken.has(unique); index++) {
+        unique = `${name}${index}`;
+    }
+    taken.add(unique);
+    return unique;
+}
+
+function paintCss(paint, context) {
+    const variable = boundVariableName(paint.boundVariables?.color, context.figmaData.variableSet);
+    if (variable) return `var(--${variableCssName(variable)})`;
+    if (paint.type === 'SOLID') {
+        return tokenValue(context, 'color', figmaColorToHex({ ...paint.color, a: (paint.color.a ?? 1) * (paint.opacity ?? 1) }));
+    }
+    if (paint.type.startsWith('GRADIENT_')) return tokenValue(context, 'gradient', gradientToCss(paint));
+    return null;
+}
+
+// Topmost visible solid or gradient paint; Figma lists paints bottom first
+function topPaint(paints, context) {
+    const visible = (paints || []).filter(paint => paint.visible !== false && paint.type !== 'IMAGE');
+    return visible.length > 0 ? paintCss(visible[visible.length - 1], context) : null;
+}
+
+function assetSource(path, context) {
+    if (!path) return null;
+    return posix.relative(posix.dirname(context.filePath), posix.join(context.assetBase, path)) || path;
+}
+
+function imageSource(node, context) {
+    const imageFill = node.fills?.find(fill => fill.type === 'IMAGE' && fill.visible !== false);
+    const original = imageFill && context.figmaData.imageFills?.get(imageFill.imageRef);
+    return {
+        imageFill,
+        src: assetSource(original?.path || context.figmaData.assets?.get(node.id)?.path, context)
+    };
+}
+
+function textStyleDeclarations(node, context) {
+    const style = node.style || {};
+    const lineHeight = style.lineHeightPx ? px(style.lineHeightPx) : null;
+
+    // A matching text style token is applied as a whole
+    const match = Object.entries(context.lookup.groups.typography).find(([_, properties]) =>
+        properties['font-family']?.value === cssString(style.fontFamily) &&
+        properties['font-weight']?.value === String(style.fontWeight) &&
+        properties['font-size']?.value === px(style.fontSize) &&
+        (properties['line-height']?.value ?? null) === lineHeight);
+    if (match) {
+        return {
+            textStyle: match[0],
+            declarations: Object.entries(match[1]).map(([property, { ref, value }]) =>
+                [property, ref ? `var(--${ref})` : value])
+        };
+    }
+
+    const declarations = [];
+    if (style.fontFamily) declarations.push(['font-family', tokenValue(context, 'font', cssString(style.fontFamily))]);
+    if (style.fontWeight) declarations.push(['font-weight', tokenValue(context, 'font', String(style.fontWeight))]);
+    if (style.fontSize) declarations.push(['font-size', px(style.fontSize)]);
+    if (lineHeight) declarations.push(['line-height', lineHeight]);
+    if (style.letterSpacing) declarations.push(['letter-spacing', px(style.letterSpacing)]);
+    if (style.italic) declarations.push(['font-style', 'italic']);
+    if (TEXT_TRANSFORM[style.textCase]) declarations.push(['text-transform', TEXT_TRANSFORM[style.textCase]]);
+    if (TEXT_DECORATION[style.textDecoration]) declarations.push(['text-decoration', TEXT_DECORATION[style.textDecoration]]);
+    return { textStyle: null, declarations };
+}
+
+// Auto layout as flexbox; children of free-layout frames are positioned absolutely
+function nodeDeclarations(node, parent, context) {
+    const declarations = [];
+    const add = (property, value) => {
+        if (value !== null && value !== undefined && value !== '') declarations.push([property, value]);
+    };
+    const box = node.absoluteBoundingBox;
+    const parentBox = parent?.absoluteBoundingBox;
+    const inFlex = Boolean(parent?.layoutMode && parent.layoutMode !== 'NONE' && node.layoutPositioning !== 'ABSOLUTE');
+
+    if (parent && !inFlex && box && parentBox) {
+        add('position', 'absolute');
+        add('left', px(box.x - parentBox.x));
+        add('top', px(box.y - parentBox.y));
+    }
+
+    const sizing = (axis, mode, value) => {
+        const primary = inFlex && (axis === 'width') === (parent.layoutMode === 'HORIZONTAL');
+        const fill = mode === 'FILL' || (!mode && inFlex && (primary ? node.layoutGrow === 1 : node.layoutAlign === 'STRETCH'));
+        if (fill) {
+            if (primary) add('flex', '1 1 0');
+            else add('align-self', 'stretch');
+            return;
+        }
+        if (mode === 'HUG' || value === undefined) return;
+        // Auto-sized text takes its size from the content
+        if (node.type === 'TEXT' && !mode) {
+            if (node.textAutoResize === 'WIDTH_AND_HEIGHT') return;
+            if (axis === 'height' && node.textAutoResize !== 'NONE') return;
+        }
+        add(axis, px(value));
+    };
+    sizing('width', node.layoutSizingHorizontal, box?.width);
+    sizing('height', node.layoutSizingVertical, box?.height);
+
+    if (node.layoutMode && node.layoutMode !== 'NONE') {
+        add('display', 'flex');
+        add('flex-direction', node.layoutMode === 'HORIZONTAL' ? 'row' : 'column');
+        if (node.layoutWrap === 'WRAP') add('flex-wrap', 'wrap');
+        if (node.primaryAxisAlignItems && node.primaryAxisAlignItems !== 'MIN') add('justify-content', JUSTIFY[node.primaryAxisAlignItems]);
+        if (node.counterAxisAlignItems && node.counterAxisAlignItems !== 'MIN') add('align-items', ALIGN[node.counterAxisAlignItems]);
+        if (node.itemSpacing && node.primaryAxisAlignItems !== 'SPACE_BETWEEN') add('gap', tokenValue(context, 'spacing', px(node.itemSpacing)));
+        const padding = [node.paddingTop, node.paddingRight, node.paddingBottom, node.paddingLeft];
+        if (padding.some(Boolean)) add('padding', padding.map(value => tokenValue(context, 'spacing', px(value))).join(' '));
+    } else if (node.children?.length > 0 && !declarations.some(([property]) => property === 'position')) {
+        // Containing block for the absolutely positioned children
+        add('position', 'relative');
+    }
+
+    if (node.type === 'TEXT') {
+        add('margin', '0');
+        add('color', topPaint(node.fills, context));
+        const { declarations: text } = textStyleDeclarations(node, context);
+        text.forEach(([property, value]) => add(property, value));
+        const align = node.style?.textAlignHorizontal;
+        if (align && align !== 'LEFT') add('text-align', align === 'JUSTIFIED' ? 'justify' : align.toLowerCase());
+        if (node.characters?.includes('\n')) add('white-space', 'pre-wrap');
+    } else {
+        add('background', topPaint(node.fills, context));
+        const stroke = (node.strokes || []).find(paint => paint.visible !== false);
+        if (stroke && node.strokeWeight) {
+            const color = paintCss(stroke, context);
+            const css = borderToCss({ weight: node.strokeWeight, color, dashPattern: node.strokeDashes });
+            add('border', color?.startsWith('var(') ? css : tokenValue(context, 'border', css));
+            add('box-sizing', 'border-box');
+        }
+        const corners = node.rectangleCornerRadii;
+        if (corners?.some(Boolean) && !corners.every(value => value === corners[0])) {
+            add('border-radius', tokenValue(context, 'radius', radiusToCss(corners)));
+        } else if (corners?.[0] || node.cornerRadius) {
+            add('border-radius', tokenValue(context, 'radius', radiusToCss(corners?.[0] || node.cornerRadius)));
+        }
+    }
+
+    const effects = (node.effects || []).filter(effect => effect.visible !== false);
+    const shadows = effects.filter(effect => effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW');
+    if (shadows.length > 0) {
+        add(node.type === 'TEXT' ? 'text-shadow' : 'box-shadow', node.type === 'TEXT'
+            ? shadows.filter(effect => effect.type === 'DROP_SHADOW').map(effect =>
+                `${px(effect.offset?.x)} ${px(effect.offset?.y)} ${px(effect.radius)} ${figmaColorToHex(effect.color)}`).join(', ')
+            : tokenValue(context, 'shadow', shadows.map(shadowToCss).join(', ')));
+    }
+    effects.filter(effect => effect.type === 'LAYER_BLUR' || effect.type === 'BACKGROUND_BLUR').forEach(effect => {
+        const { property, value } = blurToCss(effect);
+        add(property, value);
+    });
+
+    if (node.opacity !== undefined && node.opacity < 1) add('opacity', String(Math.round(node.opacity * 100) / 100));
+    if (node.clipsContent) add('overflow', 'hidden');
+    return declarations;
+}
+
+function addClass(context, node, declarations, name = camelCase(node.name)) {
+    const className = uniqueName(context.classNames, name);
+    context.classes.push({ className, declarations, source: node.name });
+    return className;
+}
+
+function jsxAttribute(name, value) {
+    if (typeof value === 'boolean') return value ? name : `${name}={false}`;
+    const text = String(value);
+    return /["{}\n]/.test(text) ? `${name}={${JSON.stringify(text)}}` : `${name}="${text}"`;
+}
+
+function jsxText(text) {
+    return /^\s|\s$|[{}<>\n]/.test(text) || text === '' ? `{${JSON.stringify(text)}}` : text;
+}
+
+function importComponent(context, target) {
+    if (target.name === context.componentName) return;
+    context.imports.set(target.name, posix.relative(posix.dirname(context.filePath), target.filePath).replace(/^(?!\.)/, './'));
+}
+
+// Props passed to a generated component: values that differ from its defaults.
+// An instance of a variant selects it through the variant props.
+function instanceAttributes(node, target, context) {
+    const attributes = [];
+    const values = {
+        ...Object.fromEntries(Object.entries(target.variants.get(node.componentId) || {})
+            .map(([key, value]) => [key, { type: 'VARIANT', value }])),
+        ...node.componentProperties
+    };
+    Object.entries(values).forEach(([key, property]) => {
+        const prop = target.props.find(candidate => candidate.key === key);
+        if (!prop || property.value === prop.default) return;
+        if (prop.type === 'INSTANCE_SWAP') {
+            const swap = context.components.get(property.value);
+            if (swap) {
+                importComponent(context, swap);
+                attributes.push(`${prop.name}={<${swap.name} />}`);
+            }
+            return;
+        }
+        attributes.push(jsxAttribute(prop.name, property.value));
+    });
+    return attributes;
+}
+
+function renderChildren(node, depth, context) {
+    return (node.children || []).flatMap(child => renderJsx(child, node, depth, context));
+}
+
+function renderJsx(node, parent, depth, context, { root = false } = {}) {
+    const references = node.componentPropertyReferences || {};
+    const visibilityProp = references.visible && context.propNames.get(references.visible);
+    if (node.visible === false && !visibilityProp) return [];
+
+    const indent = INDENT.repeat(depth);
+    const className = addClass(context, node, nodeDeclarations(node, parent, context), root ? context.rootClass : undefined);
+    const classAttribute = root ? 'className={[styles.' + className + ', className].filter(Boolean).join(\' \')}' : `className={styles.${className}}`;
+    const type = determineElementType(node);
+    let lines;
+
+    if (type === 'Text') {
+        const { textStyle } = textStyleDeclarations(node, context);
+        const tag = /^h[1-6]$/.test(textStyle || '') ? textStyle : 'p';
+        const contentProp = references.characters && context.propNames.get(references.characters);
+        const content = contentProp ? `{${contentProp}}` : jsxText(node.characters ?? '');
+        lines = [`${indent}<${tag} ${classAttribute}>${content}</${tag}>`];
+    } else if (type === 'Image' || (type === 'Vector' && context.figmaData.assets?.has(node.id))) {
+        const { imageFill, src } = imageSource(node, context);
+        if (imageFill?.scaleMode && OBJECT_FIT[imageFill.scaleMode]) {
+            context.classes[context.classes.length - 1].declarations.push(['object-fit', OBJECT_FIT[imageFill.scaleMode]]);
+        }
+        const attributes = [classAttribute, jsxAttribute('alt', type === 'Image' ? node.name : '')];
+        if (src) attributes.push(jsxAttribute('src', src));
+        else if (imageFill?.imageRef) attributes.push(jsxAttribute('data-image-ref', imageFill.imageRef));
+        lines = [`${indent}<img ${attributes.join(' ')} />`];
+    } else if (type === 'Instance' && context.components.has(node.componentId)) {
+        const target = context.components.get(node.componentId);
+        importComponent(context, target);
+        const attributes = [classAttribute, ...instanceAttributes(node, target, context)];
+        const element = `<${target.name} ${attributes.join(' ')} />`;
+        // An instance swap prop replaces the default component
+        const swapProp = references.mainComponent && context.propNames.get(references.mainComponent);
+        if (swapProp && visibilityProp) {
+            return [`${indent}{${visibilityProp} && (${swapProp} ?? ${element})}`];
+        }
+        lines = [`${indent}${swapProp ? `{${swapProp} ?? ${element}}` : element}`];
+    } else {
+        const children = renderChildren(node, depth + 1, context);
+        lines = children.length > 0
+            ? [`${indent}<div ${classAttribute}>`, ...children, `${indent}</div>`]
+            : [`${indent}<div ${classAttribute} />`];
+    }
+
+    if (visibilityProp) {
+        return [`${indent}{${visibilityProp} && (`, ...lines.map(line => INDENT + line), `${indent})}`];
+    }
+    return lines;
+}
+
+function formatModuleCss(classes) {
+    return classes.filter(({ declarations }) => declarations.length > 0).map(({ className, declarations, source }) => {
+        const body = declarations.map(([property, value]) => `    ${property}: ${value};\n`).join('');
+        return `/* ${source.replace(/\*\//g, '* /')} */\n.${className} {\n${body}}\n`;
+    }).join('\n');
+}
+
+function jsString(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function propDefault(prop) {
+    if (prop.type === 'INSTANCE_SWAP' || prop.default === null || prop.default === undefined) return prop.name;
+    return `${prop.name} = ${prop.type === 'BOOLEAN' ? String(prop.default) : jsString(prop.default)}`;
+}
+
+function fileContext(filePath, shared, extra = {}) {
+    return {
+        ...shared,
+        filePath,
+        classes: [],
+        classNames: new Set(),
+        imports: new Map(),
+        propNames: new Map(),
+        componentName: null,
+        rootClass: 'root',
+        ...extra
+    };
+}
+
+function formatJsx(context, { title, description, name, params, body }) {
+    let jsx = `// ${HEADER}: ${title}\n`;
+    jsx += `import styles from './${posix.basename(context.filePath, '.jsx')}.module.css';\n`;
+    [...context.imports].sort(([a], [b]) => a.localeCompare(b)).forEach(([component, path]) => {
+        jsx += `import ${component} from '${path}';\n`;
+    });
+    jsx += '\n';
+    if (description) jsx += `/** ${description.replace(/\*\//g, '* /')} */\n`;
+    jsx += `export default function ${name}(${params}) {\n${body}}\n`;
+    return jsx;
+}
+
+function returnBlock(lines, depth) {
+    const indent = INDENT.repeat(depth);
+    return `${indent}return (\n${lines.join('\n')}\n${indent});\n`;
+}
+
+// Component sets render the variant matching the variant props; the default
+// variant is the fallback
+function renderComponentFile(component, node, shared) {
+    const context = fileContext(component.filePath, shared, { componentName: component.name });
+    component.props.forEach(prop => context.propNames.set(prop.key, prop.name));
+
+    let body = '';
+    if (node.type === 'COMPONENT_SET') {
+        const variantProps = component.props.filter(prop => prop.type === 'VARIANT');
+        const variants = (node.children || []).filter(child => child.type === 'COMPONENT');
+        const isDefault = variant => variantProps.every(prop => variant.variantProperties?.[prop.figmaName] === prop.default);
+        const fallback = variants.find(isDefault) || variants[0];
+        variants.filter(variant => variant !== fallback).forEach(variant => {
+            const condition = variantProps
+                .filter(prop => variant.variantProperties?.[prop.figmaName] !== undefined)
+                .map(prop => `${prop.name} === ${jsString(variant.variantProperties[prop.figmaName])}`)
+                .join(' && ') || 'false';
+            context.rootClass = camelCase(variant.name);
+            body += `${INDENT}if (${condition}) {\n`;
+            body += returnBlock(renderJsx(variant, null, 3, context, { root: true }), 2);
+            body += `${INDENT}}\n`;
+        });
+        if (fallback) {
+            context.rootClass = camelCase(fallback.name);
+            body += returnBlock(renderJsx(fallback, null, 2, context, { root: true }), 1);
+        } else {
+            body += `${INDENT}return null;\n`;
+        }
+    } else {
+        body += returnBlock(renderJsx(node, null, 2, context, { root: true }), 1);
+    }
+
+    const params = `{ ${[...component.props.map(propDefault), 'className'].join(', ')} }`;
+    return [
+        { path: component.filePath, content: formatJsx(context, { title: `${component.path} (${component.id})`, description: component.description, name: component.name, params, body }) },
+        { path: component.filePath.replace(/\.jsx$/, '.module.css'), content: `/* ${HEADER}: ${component.path} */\n\n${formatModuleCss(context.classes)}` }
+    ];
+}
+
+function renderFrameFile(frame, shared) {
+    const context = fileContext(frame.filePath, shared);
+    const body = returnBlock(renderJsx(frame.node, null, 2, context, { root: true }), 1);
+    return [
+        { path: frame.filePath, content: formatJsx(context, { title: `${frame.path} (${frame.node.id})`, name: frame.name, params: '{ className }', body }) },
+        { path: frame.filePath.replace(/\.jsx$/, '.module.css'), content: `/* ${HEADER}: ${frame.path} */\n\n${formatModuleCss(context.classes)}` }
+    ];
+}
+
+// React components from the processed components and top-level frames: one
+// .jsx file and CSS module per component set, standalone component and frame,
+// plus tokens.css, prop types and an index. `assetBase` is the path from the
+// target directory to the directory asset paths are relative to. Returns
+// [{ path, content }] with paths relative to the target directory.
+export function generateReactComponents(figmaData, tokens, frames, { assetBase = '.' } = {}) {
+    const nodes = indexNodes(figmaData.document);
+    const componentNames = new Set();
+    const components = new Map();
+    const generated = [];
+
+    // Variants are rendered inside their component set's file
+    const variantIds = new Set(tokens.components.flatMap(component =>
+        component.props?.variants.map(variant => variant.id) || []));
+    tokens.components
+        .filter(component => !variantIds.has(component.id) && nodes.has(component.id))
+        .forEach(component => {
+            const name = uniqueName(componentNames, pascalCase(layerName(component.name)));
+            const entry = {
+                id: component.id,
+                name,
+                path: component.name,
+                description: component.description,
+                filePath: `components/${name}.jsx`,
+                props: component.props?.props || [],
+                variants: new Map((component.props?.variants || []).map(variant => [variant.id, variant.properties]))
+            };
+            generated.push(entry);
+            components.set(component.id, entry);
+            component.props?.variants.forEach(variant => components.set(variant.id, entry));
+        });
+
+    const shared = { figmaData, tokens, lookup: tokenLookup(tokens), components, assetBase };
+    const files = generated.flatMap(component => renderComponentFile(component, nodes.get(component.id), shared));
+
+    const frameNames = new Set();
+    const pages = frames
+        .filter(frame => nodes.has(frame.id))
+        .map(frame => {
+            const name = uniqueName(frameNames, pascalCase(frame.name));
+            return { name, path: frame.name, node: nodes.get(frame.id), filePath: `frames/${name}.jsx` };
+        });
+    files.push(...pages.flatMap(frame => renderFrameFile(frame, shared)));
+
+    files.push({ path: 'tokens.css', content: generateCSS(tokens) });
+    if (tokens.components.some(component => component.props?.props.length > 0)) {
+        files.push({ path: 'component-props.d.ts', content: generatePropsTypes(tokens) });
+    }
+
+    let index = `// ${HEADER}\nimport './tokens.css';\n\n`;
+    generated.forEach(component => {
+        index += `export { default as ${component.name} } from './${component.filePath}';\n`;
+    });
+    pages.forEach(frame => {
+        index += `export { default as ${frame.name}${componentNames.has(frame.name) ? 'Frame' : ''} } from './${frame.filePath}';\n`;
+    });
+    files.push({ path: 'index.js', content: index });
+
+    return files;
+}
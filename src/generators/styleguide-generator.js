@@ -0,0 +1,233 @@
+import fs from 'fs';
+import { join, extname } from 'path';
+import { contrastRatio } from '../utils/color.js';
+import { px, shadowToCss } from '../utils/css.js';
+import { layerName } from '../utils/naming.js';
+import { flattenTypography } from '../processors/token-processor.js';
+
+const SPECIMEN_TEXT = 'The quick brown fox jumps over the lazy dog';
+
+const IMAGE_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml'
+};
+
+const WHITE = { r: 255, g: 255, b: 255 };
+const BLACK = { r: 0, g: 0, b: 0 };
+
+const PAGE_CSS = `
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: system-ui, -apple-system, sans-serif; color: #1a1a1a; background: #fafafa; }
+    header { padding: 32px 48px; background: #fff; border-bottom: 1px solid #e5e5e5; }
+    header h1 { margin: 0 0 4px; font-size: 28px; }
+    header p { margin: 0; color: #666; }
+    nav { display: flex; gap: 16px; margin-top: 16px; }
+    nav a { color: #3366e6; text-decoration: none; }
+    main { padding: 0 48px 64px; }
+    section { margin-top: 48px; }
+    h2 { font-size: 20px; border-bottom: 1px solid #e5e5e5; padding-bottom: 8px; }
+    h3 { font-size: 14px; text-transform: uppercase; letter-spacing: 0.05em; color: #666; }
+    .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 16px; }
+    .card { background: #fff; border: 1px solid #e5e5e5; border-radius: 8px; overflow: hidden; }
+    .card-body { padding: 12px; font-size: 13px; }
+    .card-body strong { display: block; margin-bottom: 4px; font-size: 14px; }
+    .muted { color: #666; }
+    .swatch { height: 96px; background-image: linear-gradient(45deg, #eee 25%, transparent 25%, transparent 75%, #eee 75%), linear-gradient(45deg, #eee 25%, transparent 25%, transparent 75%, #eee 75%); background-size: 16px 16px; background-position: 0 0, 8px 8px; }
+    .swatch div { height: 100%; }
+    .badges { display: flex; flex-wrap: wrap; gap: 4px; margin-top: 8px; }
+    .badge { padding: 2px 6px; border-radius: 4px; font-size: 11px; font-weight: 600; }
+    .pass { background: #e3f5e8; color: #1e7a3c; }
+    .fail { background: #fde8e8; color: #b42318; }
+    .specimen { background: #fff; border: 1px solid #e5e5e5; border-radius: 8px; padding: 16px; margin-bottom: 12px; }
+    .specimen-text { margin: 0 0 8px; overflow-wrap: anywhere; }
+    .spacing-row { display: flex; align-items: center; gap: 16px; margin-bottom: 8px; font-size: 13px; }
+    .spacing-label { width: 140px; flex-shrink: 0; }
+    .spacing-bar { height: 16px; background: #3366e6; border-radius: 2px; }
+    .shadow-box { height: 96px; margin: 24px; background: #fff; border-radius: 8px; }
+    .thumbnail { display: flex; align-items: center; justify-content: center; height: 160px; background: #f0f0f0; }
+    .thumbnail img { max-width: 100%; max-height: 100%; object-fit: contain; }
+    table { border-collapse: collapse; font-size: 12px; margin-top: 8px; }
+    td { padding: 2px 8px 2px 0; vertical-align: top; }
+`;
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Contrast against white and black text at the AA and AAA normal-text thresholds
+function contrastBadges(color) {
+    return [['white', WHITE], ['black', BLACK]].map(([label, text]) => {
+        const ratio = contrastRatio(color, text);
+        const level = ratio >= 7 ? 'AAA' : ratio >= 4.5 ? 'AA' : ratio >= 3 ? 'AA large' : 'Fail';
+        const passed = ratio >= 4.5;
+        return `<span class="badge ${passed ? 'pass' : 'fail'}" title="Contrast with ${label} text">${label} ${ratio.toFixed(2)}:1 ${level}</span>`;
+    }).join('');
+}
+
+function colorSection(tokens) {
+    const categories = Object.entries(tokens.colors).filter(([_, colors]) => colors.length > 0);
+    if (categories.length === 0) return '';
+
+    let html = '<section id="colors">\n<h2>Colors</h2>\n';
+    categories.forEach(([category, colors]) => {
+        html += `<h3>${escapeHtml(category)}</h3>\n<div class="grid">\n`;
+        colors.forEach(token => {
+            const { r, g, b } = token.color;
+            const opacity = token.opacity ?? 1;
+            const rgb = opacity < 1 ? `rgba(${r}, ${g}, ${b}, ${opacity})` : `rgb(${r}, ${g}, ${b})`;
+            html += '<div class="card">\n';
+            html += `<div class="swatch"><div style="background: ${rgb}"></div></div>\n`;
+            html += '<div class="card-body">\n';
+            html += `<strong>${escapeHtml(layerName(token.name))}</strong>\n`;
+            html += `<div>${escapeHtml(token.hex)}${opacity < 1 ? ` · ${Math.round(opacity * 100)}%` : ''}</div>\n`;
+            html += `<div class="muted">${rgb}</div>\n`;
+            if (token.variable) html += `<div class="muted">{${escapeHtml(token.variable)}}</div>\n`;
+            html += `<div class="badges">${contrastBadges(token.color)}</div>\n`;
+            html += '</div>\n</div>\n';
+        });
+        html += '</div>\n';
+    });
+    return html + '</section>\n';
+}
+
+function typographySection(tokens) {
+    const styles = flattenTypography(tokens);
+    if (styles.length === 0) return '';
+
+    let html = '<section id="typography">\n<h2>Typography</h2>\n';
+    styles.forEach(textStyle => {
+        const { fontFamily, fontWeight, fontSize, lineHeight, letterSpacing } = textStyle.style;
+        const css = [
+            fontFamily && `font-family: '${fontFamily.replace(/'/g, '')}', sans-serif`,
+            fontWeight && `font-weight: ${fontWeight}`,
+            fontSize && `font-size: ${px(fontSize)}`,
+            typeof lineHeight === 'number' && `line-height: ${px(lineHeight)}`,
+            letterSpacing && `letter-spacing: ${px(letterSpacing)}`
+        ].filter(Boolean).join('; ');
+        const details = [
+            fontFamily,
+            fontWeight,
+            fontSize && `${fontSize}px`,
+            typeof lineHeight === 'number' && `line height ${px(lineHeight)}`,
+            letterSpacing && `letter spacing ${px(letterSpacing)}`
+        ].filter(Boolean).join(' · ');
+        html += '<div class="specimen">\n';
+        html += `<p class="specimen-text" style="${escapeHtml(css)}">${escapeHtml(textStyle.content || SPECIMEN_TEXT)}</p>\n`;
+        html += `<div class="muted">${escapeHtml(layerName(textStyle.name))} (${escapeHtml(textStyle.key)}) · ${escapeHtml(details)}</div>\n`;
+        html += '</div>\n';
+    });
+    return html + '</section>\n';
+}
+
+function spacingSection(tokens) {
+    const scale = tokens.scales?.spacing;
+    if (!scale?.steps.length) return '';
+
+    let html = '<section id="spacing">\n<h2>Spacing</h2>\n';
+    html += `<p class="muted">Base unit ${scale.baseUnit}px, ${Math.round(scale.coverage * 100)}% of values on the grid</p>\n`;
+    scale.steps.forEach(step => {
+        html += '<div class="spacing-row">\n';
+        html += `<div class="spacing-label">${step.value}px <span class="muted">(${step.multiplier}×, used ${step.usageCount}×)</span></div>\n`;
+        html += `<div class="spacing-bar" style="width: ${px(step.value)}"></div>\n`;
+        html += '</div>\n';
+    });
+    return html + '</section>\n';
+}
+
+function shadowSection(tokens) {
+    // Shadows on the same node are layered, as in the CSS export
+    const shadows = new Map();
+    tokens.effects.shadows.forEach(shadow => {
+        if (shadow.value.visible === false) return;
+        const entry = shadows.get(shadow.id) || { name: shadow.name, layers: [] };
+        entry.layers.push(shadowToCss(shadow.value));
+        shadows.set(shadow.id, entry);
+    });
+    if (shadows.size === 0) return '';
+
+    let html = '<section id="shadows">\n<h2>Shadows</h2>\n<div class="grid">\n';
+    shadows.forEach(({ name, layers }) => {
+        const css = layers.join(', ');
+        html += '<div class="card">\n';
+        html += `<div class="shadow-box" style="box-shadow: ${escapeHtml(css)}"></div>\n`;
+        html += `<div class="card-body"><strong>${escapeHtml(layerName(name))}</strong><div class="muted">${escapeHtml(css)}</div></div>\n`;
+        html += '</div>\n';
+    });
+    return html + '</div>\n</section>\n';
+}
+
+function componentSection(tokens, thumbnails) {
+    // Variants are shown through their component set
+    const variantIds = new Set(tokens.components.flatMap(component =>
+        component.props?.variants.map(variant => variant.id) || []));
+    const components = tokens.components.filter(component => !variantIds.has(component.id));
+    if (components.length === 0) return '';
+
+    let html = '<section id="components">\n<h2>Components</h2>\n<div class="grid">\n';
+    components.forEach(component => {
+        const thumbnail = thumbnails.get(component.id);
+        html += '<div class="card">\n';
+        html += `<div class="thumbnail">${thumbnail ? `<img src="${escapeHtml(thumbnail)}" alt="${escapeHtml(layerName(component.name))}">` : '<span class="muted">No preview</span>'}</div>\n`;
+        html += '<div class="card-body">\n';
+        html += `<strong>${escapeHtml(layerName(component.name))}</strong>\n`;
+        html += `<div class="muted">${escapeHtml(component.name)} (${escapeHtml(component.id)})</div>\n`;
+        if (component.description) html += `<p>${escapeHtml(component.description)}</p>\n`;
+        if (component.props?.props.length > 0) {
+            html += '<table>\n';
+            component.props.props.forEach(prop => {
+                const values = prop.values ? prop.values.join(' | ') : prop.type.toLowerCase().replace('_', ' ');
+                html += `<tr><td>${escapeHtml(prop.name)}</td><td class="muted">${escapeHtml(values)}</td></tr>\n`;
+            });
+            html += '</table>\n';
+        }
+        html += '</div>\n</div>\n';
+    });
+    return html + '</div>\n</section>\n';
+}
+
+// Exported renders as data URIs keyed by node ID, so the style guide needs no
+// other files. PDF renders cannot be shown in an <img> and are skipped.
+export async function loadThumbnails(assets, baseDir) {
+    const thumbnails = new Map();
+    for (const [nodeId, asset] of assets || []) {
+        const type = IMAGE_TYPES[extname(asset.path).toLowerCase()];
+        if (!type) continue;
+        try {
+            const data = await fs.promises.readFile(join(baseDir, asset.path));
+            thumbnails.set(nodeId, `data:${type};base64,${data.toString('base64')}`);
+        } catch {
+            // A missing render just leaves the component without a preview
+        }
+    }
+    return thumbnails;
+}
+
+// Self-contained HTML style guide: color swatches with contrast badges, type
+// specimens, the spacing scale, shadow previews and the component list.
+// `thumbnails` maps component IDs to image sources.
+export function generateStyleguide(tokens, { title = 'Design System', thumbnails = new Map() } = {}) {
+    const sections = [
+        ['colors', 'Colors', colorSection(tokens)],
+        ['typography', 'Typography', typographySection(tokens)],
+        ['spacing', 'Spacing', spacingSection(tokens)],
+        ['shadows', 'Shadows', shadowSection(tokens)],
+        ['components', 'Components', componentSection(tokens, thumbnails)]
+    ].filter(([_, __, html]) => html);
+
+    let html = '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n';
+    html += '<meta name="viewport" content="width=device-width, initial-scale=1">\n';
+    html += `<title>${escapeHtml(title)} · Style Guide</title>\n`;
+    html += `<style>${PAGE_CSS}</style>\n</head>\n<body>\n`;
+    html += '<header>\n';
+    html += `<h1>${escapeHtml(title)}</h1>\n<p>Style guide generated by fig4ai from Figma</p>\n`;
+    html += `<nav>${sections.map(([id, label]) => `<a href="#${id}">${label}</a>`).join('')}</nav>\n`;
+    html += '</header>\n<main>\n';
+    html += sections.map(([_, __, section]) => section).join('');
+    html += '</main>\n</body>\n</html>\n';
+    return html;
+}
@@ -0,0 +1,128 @@
+import { figmaColorToHex } from '../utils/color.js';
+import { px, shadowToCss } from '../utils/css.js';
+import { slugify, layerName, uniqueKey, categoryKey } from '../utils/naming.js';
+import { flattenTypography } from '../processors/token-processor.js';
+
+// Sort object keys recursively so identical tokens always produce identical output
+function sortKeys(value) {
+    if (Array.isArray(value) || value === null || typeof value !== 'object') {
+        return value;
+    }
+    return Object.fromEntries(
+        Object.keys(value)
+            .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }))
+            .map(key => [key, sortKeys(value[key])])
+    );
+}
+
+// Add `value` under a slug of `name`, reusing the key when the same value is already there
+function addEntry(target, name, value) {
+    const serialized = JSON.stringify(value);
+    const existing = Object.entries(target).find(([key, entry]) =>
+        (key === name || new RegExp(`^${name}-\\d+$`).test(key)) && JSON.stringify(entry) === serialized
+    );
+    if (existing) return existing[0];
+
+    const key = uniqueKey(target, name);
+    target[key] = value;
+    return key;
+}
+
+export function generateTailwindTheme(tokens) {
+    const theme = {
+        colors: {},
+        fontFamily: {},
+        fontWeight: {},
+        fontSize: {},
+        spacing: {},
+        boxShadow: {},
+        borderRadius: {},
+        backgroundImage: {}
+    };
+
+    // Named categories become nested palettes (bg-primary-500), the rest stay flat
+    Object.entries(tokens.colors).forEach(([category, colors]) => {
+        colors.forEach(token => {
+            const { r, g, b } = token.color;
+            const value = figmaColorToHex({ r: r / 255, g: g / 255, b: b / 255, a: token.opacity ?? 1 });
+            if (category === 'other') {
+                addEntry(theme.colors, slugify(layerName(token.name)), value);
+            } else {
+                theme.colors[category] = theme.colors[category] || {};
+                addEntry(theme.colors[category], categoryKey(token.name, category), value);
+            }
+        });
+    });
+
+    const textStyles = flattenTypography(tokens);
+
+    textStyles.forEach(textStyle => {
+        const { fontFamily, fontWeight, fontSize, lineHeight, letterSpacing } = textStyle.style;
+        if (fontFamily) {
+            addEntry(theme.fontFamily, slugify(fontFamily), [fontFamily]);
+        }
+        if (fontWeight) {
+            theme.fontWeight[String(fontWeight)] = String(fontWeight);
+        }
+        if (fontSize) {
+            const options = {};
+            if (typeof lineHeight === 'number') {
+                options.lineHeight = px(lineHeight);
+            }
+            if (letterSpacing) {
+                options.letterSpacing = px(letterSpacing);
+            }
+            if (fontWeight) {
+                options.fontWeight = String(fontWeight);
+            }
+            addEntry(theme.fontSize, textStyle.key, [px(fontSize), options]);
+        }
+    });
+
+    // Spacing is keyed by its pixel value so it never shadows Tailwind's default scale
+    tokens.spacing.forEach(spacing => {
+        [spacing.itemSpacing, ...Object.values(spacing.padding)]
+            .filter(value => typeof value === 'number' && value > 0)
+            .forEach(value => {
+                theme.spacing[px(value)] = px(value);
+            });
+    });
+
+    // Shadows on the same node are layered into one box-shadow
+    const shadowsByNode = new Map();
+    tokens.effects.shadows.forEach(shadow => {
+        if (shadow.value.visible === false) return;
+        const layers = shadowsByNode.get(shadow.id) || { name: shadow.name, layers: [] };
+        layers.layers.push(shadowToCss(shadow.value));
+        shadowsByNode.set(shadow.id, layers);
+    });
+    shadowsByNode.forEach(({ name, layers }) => {
+        addEntry(theme.boxShadow, slugify(layerName(name)), layers.join(', '));
+    });
+
+    tokens.radii.forEach(radius => {
+        if (!Array.isArray(radius.value)) {
+            theme.borderRadius[px(radius.value)] = px(radius.value);
+        }
+    });
+
+    tokens.gradients.forEach(gradient => {
+        addEntry(theme.backgroundImage, slugify(layerName(gradient.name)), gradient.css);
+    });
+
+    return sortKeys(Object.fromEntries(
+        Object.entries(theme).filter(([_, group]) => Object.keys(group).length > 0)
+    ));
+}
+
+export function generateTailwindConfig(tokens) {
+    const theme = generateTailwindTheme(tokens);
+    return `/** @type {import('tailwindcss').Config} */
+// Generated by fig4ai from Figma design tokens
+export default {
+    theme: {
+        extend: ${JSON.stringify(theme, null, 4).replace(/\n/g, '\n        ')}
+    }
+};
+`;
+}
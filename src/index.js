@@ -6,30 +6,105 @@ process.noDeprecation = true;
 import chalk from 'chalk';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, relative } from 'path';
 import fs from 'fs';
 import ora from 'ora';
 
-import { parseFigmaUrl } from './utils/url-parser.js';
-import { getFigmaFileData } from './utils/api.js';
-import { processDesignTokens, formatTokenCount } from './processors/token-processor.js';
+import { parseFigmaUrl, normalizeNodeId } from './utils/url-parser.js';
+import { configureFigmaClient, getFigmaClient } from './utils/api.js';
+import { resolveLLMConfig } from './utils/llm-providers.js';
+import { watchFile } from './utils/watch.js';
+import { readFigmaSnapshot, writeFigmaSnapshot, readVariablesSnapshot } from './utils/snapshot.js';
+import { layerName } from './utils/naming.js';
+import { scopeFileData, fileDataFromNodes } from './processors/node-scope.js';
+import { processVariables, applyVariables, formatVariablesMarkdown } from './processors/variable-processor.js';
+import { normalizeTokens } from './processors/token-normalizer.js';
+import { inferScales } from './processors/scale-inference.js';
+import { lintDesign } from './processors/design-lint.js';
+import { summarizeDesign, diffDesigns, formatDiffMarkdown } from './processors/design-diff.js';
+import { auditAccessibility, formatAccessibilityMarkdown } from './processors/accessibility-audit.js';
+import { processDesignTokens, applyPublishedStyles, mergePublishedStyles, formatTokenCount } from './processors/token-processor.js';
 import { processCanvases, processComponentInstances, generateComponentYAML } from './processors/canvas-processor.js';
+import { formatPropertyValue, formatChangeValue, overrideLayerLabel } from './processors/instance-overrides.js';
+import { buildComponentGraph, formatComponentGraphMarkdown, formatComponentGraphDot } from './processors/component-graph.js';
 import { generateAllPseudoCode, initializeAI } from './generators/pseudo-generator.js';
+import { collectAssetNodes, exportAssets, exportImageFills, ASSET_FORMATS } from './generators/asset-exporter.js';
+import { generateDTCGTokens } from './generators/dtcg-generator.js';
+import { generateTailwindConfig } from './generators/tailwind-generator.js';
+import { generateCSS, generateSCSS } from './generators/css-generator.js';
+import { generatePropsTypes } from './generators/props-generator.js';
+import { generateReactComponents } from './generators/react-generator.js';
+import { generateStyleguide, loadThumbnails } from './generators/styleguide-generator.js';
 
 // Load environment variables
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 dotenv.config({ path: join(dirname(__dirname), '.env') });
 
-// Validate required environment variables
-const requiredEnvVars = {
+// Parse command line arguments
+const args = process.argv.slice(2);
+const COMMANDS = ['lint', 'diff'];
+const command = COMMANDS.includes(args[0]) ? args.shift() : null;
+const positionals = args.filter(arg => !arg.startsWith('-'));
+const figmaUrl = positionals[0] || process.env.FIGMA_DESIGN_URL;
+const modelArg = args.find(arg => arg.startsWith('--model=') || arg.startsWith('-model='));
+const outputArg = args.find(arg => arg.startsWith('--output=') || arg.startsWith('-output='));
+const inputArg = args.find(arg => arg.startsWith('--input=') || arg.startsWith('-input='));
+const variablesArg = args.find(arg => arg.startsWith('--variables=') || arg.startsWith('-variables='));
+const baseUrlArg = args.find(arg => arg.startsWith('--base-url=') || arg.startsWith('-base-url='));
+const saveJsonArg = args.find(arg => arg.startsWith('--save-json') || arg.startsWith('-save-json'));
+const noAI = args.includes('--no-ai') || args.includes('-no-ai');
+const model = modelArg ? modelArg.split('=')[1] : 'claude';
+const baseUrl = baseUrlArg ? baseUrlArg.slice(baseUrlArg.indexOf('=') + 1) : null;
+const outputPath = outputArg ? outputArg.split('=')[1] : '.designrules';
+const inputPath = inputArg ? inputArg.split('=')[1] : null;
+const variablesPath = variablesArg ? variablesArg.split('=')[1] : null;
+const saveJsonPath = saveJsonArg ? (saveJsonArg.split('=')[1] || 'figma-data.json') : null;
+const deltaEArg = args.find(arg => arg.startsWith('--delta-e=') || arg.startsWith('-delta-e='));
+const formatArg = args.find(arg => arg.startsWith('--format=') || arg.startsWith('-format='));
+const a11yLevelArg = args.find(arg => arg.startsWith('--a11y-level=') || arg.startsWith('-a11y-level='));
+const a11yReportArg = args.find(arg => arg.startsWith('--a11y-report') || arg.startsWith('-a11y-report'));
+const a11yLevel = a11yLevelArg ? a11yLevelArg.split('=')[1].toUpperCase() : 'AA';
+const a11yReportPath = a11yReportArg ? (a11yReportArg.split('=')[1] || join(dirname(outputPath), 'a11y-report.json')) : null;
+const graphArg = args.find(arg => arg === '--graph' || arg === '-graph' || arg.startsWith('--graph=') || arg.startsWith('-graph='));
+const graphPath = graphArg ? (graphArg.split('=')[1] || join(dirname(outputPath), 'component-graph.dot')) : null;
+const fromArg = args.find(arg => arg.startsWith('--from=') || arg.startsWith('-from='));
+const toArg = args.find(arg => arg.startsWith('--to=') || arg.startsWith('-to='));
+const fromVersion = fromArg ? fromArg.split('=')[1] : null;
+const toVersion = toArg ? toArg.split('=')[1] : null;
+// `diff old.json new.json` compares two saved payloads
+const diffSnapshots = command === 'diff' && positionals.length === 2 ? positionals : null;
+const watchArg = args.find(arg => arg === '--watch' || arg === '-watch' || arg.startsWith('--watch=') || arg.startsWith('-watch='));
+const watchInterval = watchArg?.includes('=') ? parseFloat(watchArg.split('=')[1]) : 30;
+const noCache = args.includes('--no-cache') || args.includes('-no-cache');
+const refreshCache = args.includes('--refresh') || args.includes('-refresh');
+const assetsArg = args.find(arg => arg === '--assets' || arg === '-assets' || arg.startsWith('--assets=') || arg.startsWith('-assets='));
+const assetFormatArg = args.find(arg => arg.startsWith('--asset-format=') || arg.startsWith('-asset-format='));
+const assetScaleArg = args.find(arg => arg.startsWith('--asset-scale=') || arg.startsWith('-asset-scale='));
+const assetFormat = assetFormatArg ? assetFormatArg.split('=')[1].toLowerCase() : 'png';
+const assetScale = assetScaleArg ? parseFloat(assetScaleArg.split('=')[1]) : 1;
+const emitArg = args.find(arg => arg.startsWith('--emit=') || arg.startsWith('-emit='));
+const emitDirArg = args.find(arg => arg.startsWith('--emit-dir=') || arg.startsWith('-emit-dir='));
+const emitTargetNames = emitArg ? emitArg.split('=')[1].toLowerCase().split(',').filter(Boolean) : [];
+const formats = formatArg ? formatArg.split('=')[1].toLowerCase().split(',').filter(Boolean) : [];
+const deltaE = deltaEArg ? parseFloat(deltaEArg.split('=')[1]) : 2;
+const nodeArgs = args
+    .filter(arg => arg.startsWith('--node=') || arg.startsWith('-node='))
+    .flatMap(arg => arg.split('=')[1].split(','))
+    .map(normalizeNodeId)
+    .filter(Boolean);
+
+// Validate required environment variables (not needed when reading a local export)
+const requiredEnvVars = inputPath || diffSnapshots ? {} : {
     'FIGMA_ACCESS_TOKEN': process.env.FIGMA_ACCESS_TOKEN
 };
 
 // Optional environment variables
 const optionalEnvVars = {
     'OPENAI_API_KEY': process.env.OPENAI_API_KEY,
-    'CLAUDE_API_KEY': process.env.CLAUDE_API_KEY
+    'CLAUDE_API_KEY': process.env.CLAUDE_API_KEY,
+    'LLM_API_KEY': process.env.LLM_API_KEY,
+    'LLM_BASE_URL': process.env.LLM_BASE_URL
 };
 
 const missingEnvVars = Object.entries(requiredEnvVars)
@@ -46,90 +121,335 @@ if (missingEnvVars.length > 0) {
     missingEnvVars.forEach(envVar => {
         console.error(chalk.gray(`${envVar}=your_${envVar.toLowerCase()}_here`));
     });
+    console.error(chalk.blue('\nOr run offline from a saved export with --input=file.json'));
     process.exit(1);
 }
 
-// Parse command line arguments
-const args = process.argv.slice(2);
-const figmaUrl = args[0] || process.env.FIGMA_DESIGN_URL;
-const modelArg = args.find(arg => arg.startsWith('--model=') || arg.startsWith('-model='));
-const outputArg = args.find(arg => arg.startsWith('--output=') || arg.startsWith('-output='));
-const noAI = args.includes('--no-ai') || args.includes('-no-ai');
-const model = modelArg ? modelArg.split('=')[1].toLowerCase() : 'claude';
-const outputPath = outputArg ? outputArg.split('=')[1] : '.designrules';
-
-// Validate Figma URL
-if (!figmaUrl) {
+// Validate Figma URL (optional when reading a local export)
+if (!figmaUrl && !inputPath) {
     console.error(chalk.red('\nError: No Figma URL provided'));
     console.log(chalk.blue('\nUsage:'));
     console.log('  npx fig4ai <figma-url> [options]');
+    console.log('  npx fig4ai --input=file.json [options]');
+    console.log('  npx fig4ai lint <figma-url> [--node=id] [--output=report.json]');
+    console.log('  npx fig4ai diff <figma-url> [--from=version] [--to=version] [--output=diff.md]');
+    console.log('  npx fig4ai diff old.json new.json [--output=diff.md]');
     console.log(chalk.blue('\nOptions:'));
-    console.log('  --model=claude|gpt4    Choose AI model (default: claude)');
+    console.log('  --model=provider:model AI provider and optional model: claude, gpt4, openai:gpt-4o, ollama:llama3.1,');
+    console.log('                         openai-compatible:<model> (default: claude)');
+    console.log('  --base-url=url         API base URL for the provider, e.g. a self-hosted OpenAI-compatible server');
     console.log('  --no-ai                Skip AI enhancement and output raw data');
     console.log('  --output=path          Specify output file path (default: .designrules)');
+    console.log('  --input=path           Read a saved /v1/files/:id JSON response instead of calling the API');
+    console.log('  --save-json[=path]     Save the fetched Figma JSON (default: figma-data.json)');
+    console.log('  --variables=path       Read a saved /v1/files/:id/variables/local response');
+    console.log('  --node=id              Only process this node and its subtree (repeatable)');
+    console.log('  --delta-e=n            Merge colors closer than this CIEDE2000 distance (default: 2, 0 = exact only)');
+    console.log('  --format=list          Also export: dtcg, tailwind, css, scss, typescript (comma-separated)');
+    console.log('  --emit=list            Generate code and docs: react, html (comma-separated)');
+    console.log('  --emit-dir=dir         Directory for --emit output (default: generated/ next to the output)');
+    console.log('  --assets[=dir]         Export frame and component renders and original images (default: assets/ next to the output)');
+    console.log('  --asset-format=fmt     Asset format: png, jpg, svg, pdf (default: png)');
+    console.log('  --asset-scale=n        Asset scale from 0.01 to 4 (default: 1)');
+    console.log('  --no-cache             Always call the Figma API; do not read or write the response cache');
+    console.log('  --refresh              Ignore cached responses and fetch everything again');
+    console.log('  --watch[=seconds]      Regenerate when the Figma file changes (default poll: 30s)');
+    console.log('  --a11y-level=AA|AAA    WCAG contrast level to audit against (default: AA)');
+    console.log('  --a11y-report[=path]   Save the accessibility audit as JSON (default: a11y-report.json next to the output)');
+    console.log('  --graph[=path]         Save the component dependency graph as DOT and JSON (default: component-graph.dot next to the output)');
     console.log(chalk.blue('\nExamples:'));
     console.log('  npx fig4ai https://figma.com/file/xyz --model=gpt4');
+    console.log('  npx fig4ai https://figma.com/file/xyz --model=openai-compatible:qwen2.5 --base-url=http://localhost:8080/v1');
     console.log('  npx fig4ai https://figma.com/file/xyz --no-ai');
+    console.log('  npx fig4ai https://figma.com/file/xyz --save-json=design.json');
+    console.log('  npx fig4ai --input=design.json --no-ai');
+    console.log('  npx fig4ai https://figma.com/file/xyz --node=1-23 --node=4:56');
     console.log(chalk.blue('\nAlternatively, set in .env:'));
     console.log(chalk.gray('FIGMA_DESIGN_URL=your_figma_url_here'));
     process.exit(1);
 }
 
+if (Number.isNaN(deltaE) || deltaE < 0) {
+    console.error(chalk.red('\nInvalid --delta-e value. Must be a number >= 0.'));
+    process.exit(1);
+}
+
+if (watchArg && (inputPath || command)) {
+    console.error(chalk.red('\n--watch needs a Figma URL and cannot be combined with --input, lint or diff.'));
+    process.exit(1);
+}
+
+if (watchArg && (Number.isNaN(watchInterval) || watchInterval <= 0)) {
+    console.error(chalk.red('\nInvalid --watch interval. Must be a number of seconds > 0.'));
+    process.exit(1);
+}
+
+if (!ASSET_FORMATS.includes(assetFormat)) {
+    console.error(chalk.red(`\nInvalid --asset-format value. Must be one of: ${ASSET_FORMATS.join(', ')}.`));
+    process.exit(1);
+}
+
+if (Number.isNaN(assetScale) || assetScale < 0.01 || assetScale > 4) {
+    console.error(chalk.red('\nInvalid --asset-scale value. Must be a number from 0.01 to 4.'));
+    process.exit(1);
+}
+
+if (a11yLevel !== 'AA' && a11yLevel !== 'AAA') {
+    console.error(chalk.red('\nInvalid --a11y-level value. Must be either "AA" or "AAA".'));
+    process.exit(1);
+}
+
+// Token and component prop export formats, written next to the output file
+const tokenFormats = {
+    dtcg: {
+        fileName: 'tokens.json',
+        generate: tokens => JSON.stringify(generateDTCGTokens(tokens), null, 2)
+    },
+    tailwind: {
+        fileName: 'tailwind.config.js',
+        generate: generateTailwindConfig
+    },
+    css: {
+        fileName: 'tokens.css',
+        generate: generateCSS
+    },
+    scss: {
+        fileName: '_tokens.scss',
+        generate: generateSCSS
+    },
+    typescript: {
+        fileName: 'component-props.d.ts',
+        generate: generatePropsTypes
+    }
+};
+
+const unknownFormats = formats.filter(format => !tokenFormats[format]);
+if (unknownFormats.length > 0) {
+    console.error(chalk.red(`\nInvalid format specified: ${unknownFormats.join(', ')}. Must be one of: ${Object.keys(tokenFormats).join(', ')}.`));
+    process.exit(1);
+}
+
+// Generated code and docs, written to --emit-dir. Each target returns
+// [{ path, content }] with paths relative to that directory.
+const emitTargets = {
+    react: {
+        description: 'React components',
+        generate: ({ figmaData, tokens, frames, assetBase }) => generateReactComponents(figmaData, tokens, frames, { assetBase })
+    },
+    html: {
+        description: 'HTML style guide',
+        generate: async ({ figmaData, tokens, outputDir }) => [{
+            path: 'styleguide.html',
+            content: generateStyleguide(tokens, {
+                title: figmaData.name,
+                thumbnails: await loadThumbnails(figmaData.assets, outputDir)
+            })
+        }]
+    }
+};
+
+const unknownEmitTargets = emitTargetNames.filter(target => !emitTargets[target]);
+if (unknownEmitTargets.length > 0) {
+    console.error(chalk.red(`\nInvalid --emit target: ${unknownEmitTargets.join(', ')}. Must be one of: ${Object.keys(emitTargets).join(', ')}.`));
+    process.exit(1);
+}
+
 // Validate model selection
-if (model !== 'claude' && model !== 'gpt4') {
-    console.error(chalk.red('\nInvalid model specified. Must be either "claude" or "gpt4".'));
+let llmConfig;
+try {
+    llmConfig = resolveLLMConfig(model, { baseUrl });
+} catch (error) {
+    console.error(chalk.red(`\n${error.message}`));
     console.log(chalk.blue('\nUsage:'));
-    console.log('  npx fig4ai <figma-url> [--model=claude|gpt4] [--no-ai]');
+    console.log('  npx fig4ai <figma-url> [--model=provider[:model]] [--base-url=url] [--no-ai]');
     process.exit(1);
 }
 
 // Check if AI enhancement is possible and desired
-const hasAICapability = !noAI && ((model === 'claude' && process.env.CLAUDE_API_KEY) || 
-                                 (model === 'gpt4' && process.env.OPENAI_API_KEY));
+const hasAICapability = !noAI && llmConfig.missing.length === 0;
 
-if (noAI) {
+if (command) {
+    // Commands other than the default generation never call the AI
+} else if (noAI) {
     console.info(chalk.blue('\nAI enhancement disabled via --no-ai flag.'));
 } else if (!hasAICapability) {
-    console.warn(chalk.yellow('\nNo AI API keys found. Running without AI enhancement.'));
-    console.warn(chalk.gray('To enable AI features, set CLAUDE_API_KEY or OPENAI_API_KEY in your .env file.'));
+    console.warn(chalk.yellow(`\n${llmConfig.provider} is not configured. Running without AI enhancement.`));
+    console.warn(chalk.gray(`To enable AI features, set ${llmConfig.missing.join(' and ')}.`));
 } else {
-    console.info(chalk.blue(`\nUsing ${chalk.bold(model.toUpperCase())} for AI enhancement 🤖`));
+    const endpoint = llmConfig.baseUrl ? ` at ${llmConfig.baseUrl}` : '';
+    console.info(chalk.blue(`\nUsing ${chalk.bold(llmConfig.model)} (${llmConfig.provider}${endpoint}) for AI enhancement 🤖`));
+}
+
+function parseTarget() {
+    return figmaUrl ? parseFigmaUrl(figmaUrl) : {
+        type: 'local',
+        fileId: null,
+        title: null,
+        nodeId: null
+    };
+}
+
+// Nodes from the URL and --node flags scope the whole pipeline
+function selectedNodeIds(result) {
+    return [...new Set([result.nodeId, ...nodeArgs].filter(Boolean))];
+}
+
+// Fetch (or read) the file, published styles and variables, scoped to the selected nodes
+async function loadFigmaData(result, nodeIds, spinner) {
+    const figma = configureFigmaClient({ cache: { enabled: !noCache, refresh: refreshCache } });
+
+    let figmaData;
+    if (inputPath) {
+        spinner.start(`Reading Figma file data from ${inputPath}...`);
+        figmaData = await readFigmaSnapshot(inputPath);
+        spinner.succeed(`Figma file data loaded from ${inputPath}`);
+    } else if (nodeIds.length > 0) {
+        spinner.start(`Fetching ${nodeIds.length} node(s) from Figma API...`);
+        const nodesData = await figma.getNodes(result.fileId, nodeIds);
+        figmaData = fileDataFromNodes(nodesData, nodeIds);
+        spinner.succeed(`Figma node data fetched: ${nodeIds.join(', ')}`);
+    } else {
+        spinner.start('Fetching file data from Figma API...');
+        figmaData = await figma.getFile(result.fileId);
+        spinner.succeed('Figma file data fetched');
+    }
+
+    // Published style names and descriptions; not every file or token has access
+    if (!inputPath) {
+        spinner.start('Fetching published styles...');
+        try {
+            const publishedStyles = await figma.getStyles(result.fileId);
+            figmaData.styles = mergePublishedStyles(figmaData.styles, publishedStyles);
+            spinner.succeed(`Published styles fetched: ${publishedStyles.length}`);
+        } catch (error) {
+            spinner.warn(`Skipping published styles - ${error.message}`);
+        }
+    }
+
+    // Figma Variables, stored on the payload so --save-json snapshots include them
+    if (variablesPath) {
+        spinner.start(`Reading Figma variables from ${variablesPath}...`);
+        figmaData.variables = await readVariablesSnapshot(variablesPath);
+        spinner.succeed(`Figma variables loaded from ${variablesPath}`);
+    } else if (!inputPath) {
+        spinner.start('Fetching local variables...');
+        try {
+            figmaData.variables = await figma.getLocalVariables(result.fileId);
+            spinner.succeed('Local variables fetched');
+        } catch (error) {
+            spinner.warn(`Skipping variables - ${error.message}`);
+        }
+    }
+
+    if (inputPath && nodeIds.length > 0) {
+        figmaData = scopeFileData(figmaData, nodeIds);
+        spinner.info(`Scoped to node(s): ${nodeIds.join(', ')}`);
+    }
+
+    if (saveJsonPath) {
+        spinner.start(`Saving Figma JSON to ${saveJsonPath}...`);
+        await writeFigmaSnapshot(saveJsonPath, figmaData);
+        spinner.succeed(`Figma JSON saved to ${saveJsonPath}`);
+    }
+    figmaData.fileId = result.fileId;
+
+    return figmaData;
+}
+
+// Styles, variables and layers to normalized tokens with inferred scales
+function buildTokens(figmaData) {
+    const tokens = applyPublishedStyles(
+        processDesignTokens(figmaData.document),
+        figmaData.document,
+        figmaData.styles
+    );
+    figmaData.variableSet = figmaData.variables ? processVariables(figmaData.variables) : null;
+    applyVariables(tokens, figmaData.variableSet);
+    normalizeTokens(tokens, { deltaE });
+    tokens.scales = inferScales(figmaData.document);
+    return tokens;
 }
 
-async function main() {
+// Generate the design rules; in watch mode a failed run is reported and
+// returns null instead of exiting
+async function main({ exitOnError = true } = {}) {
     const spinner = ora();
     try {
         // Initialize AI with selected model
-        initializeAI(model);
+        initializeAI(llmConfig);
 
-        const result = parseFigmaUrl(figmaUrl);
+        const result = parseTarget();
         let output = '';
 
         // Capture URL details
         output += '# Figma Design Rules\n\n';
         output += '## File Information\n';
         output += `Type: ${result.type}\n`;
-        output += `File ID: ${result.fileId}\n`;
+        output += `File ID: ${result.fileId || 'Not specified'}\n`;
         output += `Title: ${result.title || 'Not specified'}\n`;
-        output += `Node ID: ${result.nodeId || 'Not specified'}\n\n`;
+        const nodeIds = selectedNodeIds(result);
+        output += `Node ID: ${nodeIds.length > 0 ? nodeIds.join(', ') : 'Not specified'}\n\n`;
 
         spinner.start('Processing Figma URL details...');
         spinner.succeed('Figma URL details processed');
 
-        spinner.start('Fetching file data from Figma API...');
-        const figmaData = await getFigmaFileData(result.fileId);
-        figmaData.fileId = result.fileId;
-        spinner.succeed('Figma file data fetched');
+        const figmaData = await loadFigmaData(result, nodeIds, spinner);
         
         output += `File Name: ${figmaData.name}\n`;
         output += `Last Modified: ${new Date(figmaData.lastModified).toLocaleString()}\n\n`;
 
         spinner.start('Processing design tokens...');
-        const tokens = processDesignTokens(figmaData.document);
-        spinner.succeed('Design tokens processed');
+        const tokens = buildTokens(figmaData);
+        spinner.succeed(tokens.source === 'styles'
+            ? 'Design tokens processed from Figma styles'
+            : 'Design tokens processed from layer names (no styles found)');
         
+        // Render frames and components and download original images to local
+        // files; Figma's image URLs expire
+        figmaData.assets = new Map();
+        figmaData.imageFills = new Map();
+        if (assetsArg && !result.fileId) {
+            spinner.warn('Skipping asset export - rendering needs a Figma URL');
+        } else if (assetsArg) {
+            const assetNodes = collectAssetNodes(figmaData.document);
+            const assetsDir = assetsArg.includes('=') ? assetsArg.split('=')[1] : join(dirname(outputPath), 'assets');
+            spinner.start(`Exporting ${assetNodes.length} asset(s) to ${assetsDir}...`);
+            const { assets, failures } = await exportAssets(getFigmaClient(), result.fileId, assetNodes, {
+                dir: assetsDir,
+                baseDir: dirname(outputPath),
+                format: assetFormat,
+                scale: assetScale
+            });
+            figmaData.assets = assets;
+            if (failures.length > 0) {
+                spinner.warn(`Exported ${assets.size} asset(s), ${failures.length} failed`);
+                failures.forEach(failure => {
+                    console.warn(chalk.yellow(`  ${failure.id} ${failure.name}: ${failure.error}`));
+                });
+            } else {
+                spinner.succeed(`Exported ${assets.size} asset(s) to ${assetsDir}`);
+            }
+
+            const imagesDir = join(assetsDir, 'images');
+            spinner.start(`Downloading original images to ${imagesDir}...`);
+            const { images, failures: imageFailures } = await exportImageFills(getFigmaClient(), result.fileId, figmaData.document, {
+                dir: imagesDir,
+                baseDir: dirname(outputPath)
+            });
+            figmaData.imageFills = images;
+            if (imageFailures.length > 0) {
+                spinner.warn(`Downloaded ${images.size} image(s), ${imageFailures.length} failed`);
+                imageFailures.forEach(failure => {
+                    console.warn(chalk.yellow(`  ${failure.imageRef} (${failure.nodeIds.join(', ')}): ${failure.error}`));
+                });
+            } else {
+                spinner.succeed(`Downloaded ${images.size} original image(s) to ${imagesDir}`);
+            }
+        }
+
         // Add token summary
         output += '## Design Tokens Summary\n';
+        output += `Source: ${tokens.source === 'styles' ? 'Figma styles' : 'Layer names'}\n`;
         output += formatTokenCount(tokens) + '\n\n';
 
         spinner.info(`Total tokens found: ${formatTokenCount(tokens)}`);
@@ -137,11 +457,20 @@ async function main() {
         // Process and capture detailed token information
         spinner.start('Processing typography tokens...');
         output += '## Typography\n\n';
-        Object.entries(tokens.typography.headings).forEach(([level, styles]) => {
+        const typographyGroups = [
+            ...Object.entries(tokens.typography.headings),
+            ['body', tokens.typography.body],
+            ['other', tokens.typography.other]
+        ];
+        typographyGroups.forEach(([level, styles]) => {
             if (styles.length > 0) {
                 output += `### ${level.toUpperCase()}\n`;
                 styles.forEach(style => {
                     output += `- ${style.name}\n`;
+                    if (style.description) {
+                        output += `  - Description: ${style.description}\n`;
+                    }
+                    output += `  - Used: ${style.usageCount}×\n`;
                     output += `  - Font: ${style.style.fontFamily} (${style.style.fontWeight})\n`;
                     output += `  - Size: ${style.style.fontSize}px\n`;
                     output += `  - Line Height: ${style.style.lineHeight}\n`;
@@ -161,17 +490,157 @@ async function main() {
                 output += `### ${category.toUpperCase()}\n`;
                 colors.forEach(color => {
                     output += `- ${color.name}\n`;
-                    output += `  - HEX: ${color.hex}\n`;
+                    if (color.description) {
+                        output += `  - Description: ${color.description}\n`;
+                    }
+                    if (color.variable) {
+                        output += `  - Variable: {${color.variable}}\n`;
+                    } else {
+                        output += `  - HEX: ${color.hex}\n`;
+                    }
                     output += `  - RGB: ${color.color.r}, ${color.color.g}, ${color.color.b}\n`;
                     if (color.opacity !== 1) {
                         output += `  - Opacity: ${color.opacity}\n`;
                     }
+                    output += `  - Used: ${color.usageCount}×\n`;
+                    if (color.mergedValues.length > 0) {
+                        output += `  - Merged near-identical: ${color.mergedValues.join(', ')}\n`;
+                    }
                     output += '\n';
                 });
             }
         });
         spinner.succeed('Color tokens processed');
 
+        // Scales inferred from the values actually used
+        const { typography: typeScale, spacing: spacingScale } = tokens.scales;
+        if (typeScale.steps.length > 0) {
+            output += '## Type Scale\n\n';
+            if (typeScale.ratio) {
+                output += `Ratio: ${typeScale.ratio}${typeScale.ratioName ? ` (${typeScale.ratioName})` : ''}\n\n`;
+            }
+            typeScale.steps.forEach(step => {
+                output += `- ${step.name}: ${step.fontSize}px / ${step.fontWeight}`;
+                if (step.lineHeights.length > 0) {
+                    output += `, line height ${step.lineHeights.map(value => `${value}px`).join(', ')}`;
+                }
+                if (step.fontFamilies.length > 0) {
+                    output += `, ${step.fontFamilies.join(', ')}`;
+                }
+                output += ` (${step.usageCount} text node${step.usageCount === 1 ? '' : 's'})\n`;
+                const listed = step.nodes.slice(0, 5).map(node => `${node.name} (${node.id})`);
+                if (step.nodes.length > 5) {
+                    listed.push(`+${step.nodes.length - 5} more`);
+                }
+                output += `  - Nodes: ${listed.join(', ')}\n`;
+            });
+            output += '\n';
+        }
+
+        if (spacingScale.baseUnit) {
+            output += '## Spacing Scale\n\n';
+            output += `Base unit: ${spacingScale.baseUnit}px (${Math.round(spacingScale.coverage * 100)}% of values on grid)\n\n`;
+            spacingScale.steps.forEach(step => {
+                output += `- ${step.value}px (${step.multiplier}×, used ${step.usageCount}×)\n`;
+            });
+            if (spacingScale.offScale.length > 0) {
+                output += `\n### Off-Scale Values\n`;
+                spacingScale.offScale.forEach(usage => {
+                    output += `- ${usage.value}px ${usage.property} on ${usage.name} (${usage.id}), nearest step ${usage.nearest}px\n`;
+                });
+            }
+            output += '\n';
+        }
+
+        if (tokens.variables.length > 0) {
+            output += '## Variables\n\n';
+            output += formatVariablesMarkdown(figmaData.variableSet);
+        }
+
+        if (tokens.gradients.length > 0) {
+            output += '## Gradients\n\n';
+            tokens.gradients.forEach(gradient => {
+                output += `- ${gradient.name}\n`;
+                if (gradient.description) {
+                    output += `  - Description: ${gradient.description}\n`;
+                }
+                output += `  - Type: ${gradient.type}\n`;
+                output += `  - CSS: ${gradient.css}\n`;
+                output += `  - Stops: ${gradient.stops.map(stop => `${stop.color} ${Math.round(stop.position * 100)}%`).join(', ')}\n`;
+                output += `  - Used: ${gradient.usageCount}×\n\n`;
+            });
+        }
+
+        if (tokens.borders.length > 0) {
+            output += '## Borders\n\n';
+            tokens.borders.forEach(border => {
+                output += `- ${border.name}\n`;
+                output += `  - CSS: ${border.css}\n`;
+                output += `  - Align: ${border.align}\n`;
+                if (border.individualWeights) {
+                    const { top, right, bottom, left } = border.individualWeights;
+                    output += `  - Weights: ${top} ${right} ${bottom} ${left}\n`;
+                }
+                if (border.dashPattern.length > 0) {
+                    output += `  - Dash Pattern: ${border.dashPattern.join(', ')}\n`;
+                }
+                output += `  - Used: ${border.usageCount}×\n\n`;
+            });
+        }
+
+        if (tokens.radii.length > 0) {
+            output += '## Corner Radii\n\n';
+            tokens.radii.forEach(radius => {
+                output += `- ${radius.css} (${radius.name}, used ${radius.usageCount}×)\n`;
+            });
+            output += '\n';
+        }
+
+        if (tokens.images.length > 0) {
+            output += '## Images\n\n';
+            tokens.images.forEach(image => {
+                output += `- ${image.name}\n`;
+                output += `  - Image Ref: ${image.imageRef}\n`;
+                if (figmaData.imageFills.has(image.imageRef)) {
+                    output += `  - File: ${figmaData.imageFills.get(image.imageRef).path}\n`;
+                }
+                output += `  - Scale Mode: ${image.scaleMode}\n`;
+                output += `  - Used: ${image.usageCount}×\n\n`;
+            });
+        }
+
+        if (tokens.grids.length > 0) {
+            output += '## Layout Grids\n\n';
+            tokens.grids.forEach(grid => {
+                output += `- ${grid.name}\n`;
+                if (grid.description) {
+                    output += `  - Description: ${grid.description}\n`;
+                }
+                grid.grids.forEach(layoutGrid => {
+                    const details = [
+                        layoutGrid.count > 0 && `count ${layoutGrid.count}`,
+                        layoutGrid.sectionSize && `size ${layoutGrid.sectionSize}px`,
+                        layoutGrid.gutterSize !== undefined && `gutter ${layoutGrid.gutterSize}px`,
+                        layoutGrid.offset !== undefined && `offset ${layoutGrid.offset}px`,
+                        layoutGrid.alignment && `alignment ${layoutGrid.alignment}`
+                    ].filter(Boolean);
+                    output += `  - ${layoutGrid.pattern}: ${details.join(', ')}\n`;
+                });
+                output += '\n';
+            });
+        }
+
+        // Audit contrast, text size, touch targets and image names
+        spinner.start('Auditing accessibility...');
+        const a11yReport = auditAccessibility(figmaData.document, { level: a11yLevel });
+        output += '## Accessibility\n\n';
+        output += formatAccessibilityMarkdown(a11yReport);
+        if (a11yReport.passed) {
+            spinner.succeed(`Accessibility audit passed (WCAG ${a11yLevel})`);
+        } else {
+            spinner.warn(`Accessibility audit found issues: ${a11yReport.summary.contrastFailures} contrast failures, ${a11yReport.summary.smallText} small text, ${a11yReport.summary.smallTargets} small touch targets, ${a11yReport.summary.unnamedImages} unnamed images`);
+        }
+
         // Process canvas information
         spinner.start('Processing canvas information...');
         const canvases = processCanvases(figmaData.document);
@@ -189,6 +658,9 @@ async function main() {
                     if (frame.size.width && frame.size.height) {
                         output += `- Size: ${frame.size.width}x${frame.size.height}\n`;
                     }
+                    if (figmaData.assets.has(frame.id)) {
+                        output += `- Render: ${figmaData.assets.get(frame.id).path}\n`;
+                    }
                     if (frame.layoutMode) {
                         output += `- Layout: ${frame.layoutMode}\n`;
                         output += `- Item Spacing: ${frame.itemSpacing}\n`;
@@ -199,9 +671,19 @@ async function main() {
         });
         spinner.succeed('Canvas information processed');
 
+        const otherAssets = [...figmaData.assets.values()].filter(asset => asset.type !== 'FRAME');
+        if (otherAssets.length > 0) {
+            output += '## Assets\n\n';
+            otherAssets.forEach(asset => {
+                output += `- ${asset.name} (${asset.id}, ${asset.type.toLowerCase().replace('_', ' ')}): ${asset.path}\n`;
+            });
+            output += '\n';
+        }
+
         // Process component instances
         spinner.start('Processing component instances...');
         const instances = processComponentInstances(figmaData.document);
+        const componentNames = Object.fromEntries(tokens.components.map(component => [component.id, layerName(component.name)]));
         output += '## Component Instances\n\n';
         instances.forEach(instance => {
             output += `### ${instance.name}\n`;
@@ -210,6 +692,24 @@ async function main() {
             if (instance.size.width && instance.size.height) {
                 output += `- Size: ${instance.size.width}x${instance.size.height}\n`;
             }
+            if (instance.properties.length > 0) {
+                output += `- Properties: ${instance.properties
+                    .map(property => `${property.name}=${formatPropertyValue(property, componentNames)}`)
+                    .join(', ')}\n`;
+            }
+            if (instance.changes.length > 0) {
+                output += '- Overrides:\n';
+                instance.changes.forEach(change => {
+                    const before = formatChangeValue(change, change.before, componentNames);
+                    const after = formatChangeValue(change, change.after, componentNames);
+                    output += `  - ${overrideLayerLabel(change)} ${change.field}: ${before} → ${after}\n`;
+                });
+            }
+            if (instance.overrides.length > 0) {
+                output += `- Overridden fields: ${instance.overrides
+                    .map(override => `${overrideLayerLabel(override)}: ${override.fields.join(', ')}`)
+                    .join('; ')}\n`;
+            }
             output += '\n';
         });
         spinner.succeed('Component instances processed');
@@ -222,6 +722,17 @@ async function main() {
         output += '```\n\n';
         spinner.succeed('Component structure generated');
 
+        // Component dependency graph
+        spinner.start('Building component dependency graph...');
+        const componentGraph = buildComponentGraph(figmaData, tokens.components, instances);
+        output += '## Component Dependencies\n\n';
+        output += formatComponentGraphMarkdown(componentGraph);
+        if (componentGraph.cycles.length > 0) {
+            spinner.warn(`Component dependency graph has ${componentGraph.cycles.length} cycle(s)`);
+        } else {
+            spinner.succeed(`Component dependency graph built (${componentGraph.nodes.length} components, ${componentGraph.edges.length} dependencies)`);
+        }
+
         // Generate pseudo components and frames
         spinner.start('Generating pseudo components and frames...');
         const frames = canvases.flatMap(canvas => canvas.frames);
@@ -246,10 +757,199 @@ async function main() {
         await fs.promises.writeFile(outputPath, output);
         spinner.succeed(`Design rules saved successfully to ${outputPath}`);
 
+        if (a11yReportPath) {
+            spinner.start(`Saving accessibility report to ${a11yReportPath}...`);
+            await fs.promises.writeFile(a11yReportPath, JSON.stringify(a11yReport, null, 2));
+            spinner.succeed(`Accessibility report saved to ${a11yReportPath}`);
+        }
+
+        if (graphPath) {
+            const graphJsonPath = graphPath.replace(/(\.dot|\.gv)?$/, '.json');
+            spinner.start(`Saving component graph to ${graphPath}...`);
+            await fs.promises.writeFile(graphPath, formatComponentGraphDot(componentGraph));
+            await fs.promises.writeFile(graphJsonPath, JSON.stringify(componentGraph, null, 2));
+            spinner.succeed(`Component graph saved to ${graphPath} and ${graphJsonPath}`);
+        }
+
+        // Export tokens in the requested formats
+        for (const format of formats) {
+            const formatPath = join(dirname(outputPath), tokenFormats[format].fileName);
+            spinner.start(`Exporting ${format} tokens to ${formatPath}...`);
+            await fs.promises.writeFile(formatPath, tokenFormats[format].generate(tokens));
+            spinner.succeed(`${format} tokens saved to ${formatPath}`);
+        }
+
+        if (emitTargetNames.length > 0) {
+            const emitDir = emitDirArg ? emitDirArg.split('=')[1] : join(dirname(outputPath), 'generated');
+            // Asset paths in figmaData are relative to the output file's directory
+            const assetBase = relative(emitDir, dirname(outputPath)).split('\\').join('/') || '.';
+            for (const target of emitTargetNames) {
+                spinner.start(`Generating ${emitTargets[target].description} in ${emitDir}...`);
+                const files = await emitTargets[target].generate({ figmaData, tokens, frames, assetBase, outputDir: dirname(outputPath) });
+                for (const file of files) {
+                    const filePath = join(emitDir, file.path);
+                    await fs.promises.mkdir(dirname(filePath), { recursive: true });
+                    await fs.promises.writeFile(filePath, file.content);
+                }
+                spinner.succeed(`${emitTargets[target].description} saved to ${emitDir} (${files.length} files)`);
+            }
+        }
+
+        return { figmaData, tokens };
+    } catch (error) {
+        spinner.fail(chalk.red('Error: ' + error.message));
+        if (!exitOnError) return null;
+        process.exit(1);
+    }
+}
+
+// Poll lastModified and regenerate on change. Quiet files and API errors back
+// off up to 8× the interval; a change resets it.
+async function watch() {
+    const baseDelay = watchInterval * 1000;
+    const { fileId } = parseTarget();
+
+    const first = await main();
+    let design = summarizeDesign(first.figmaData, first.tokens);
+
+    process.on('SIGINT', () => {
+        console.log(chalk.blue('\nStopped watching.'));
+        process.exit(0);
+    });
+
+    await watchFile({
+        client: getFigmaClient(),
+        fileId,
+        lastModified: first.figmaData.lastModified,
+        interval: baseDelay,
+        maxDelay: baseDelay * 8,
+        onWait: delay => {
+            console.log(chalk.gray(`\nWatching for changes (next check in ${Math.round(delay / 100) / 10}s)...`));
+        },
+        onError: error => {
+            console.warn(chalk.yellow(`Check failed: ${error.message}`));
+        },
+        onChange: async meta => {
+            console.log(chalk.blue(`\nFile changed at ${new Date(meta.lastModified).toLocaleString()}, regenerating...`));
+            const run = await main({ exitOnError: false });
+            if (!run) return false;
+
+            const next = summarizeDesign(run.figmaData, run.tokens);
+            const changes = diffDesigns(design, next);
+            Object.entries(changes.summary).forEach(([section, { added, removed, changed }]) => {
+                if (added + removed + changed > 0) {
+                    console.log(`  ${section}: ${chalk.green(`+${added}`)} ${chalk.red(`-${removed}`)} ${chalk.yellow(`~${changed}`)}`);
+                }
+            });
+            if (!changes.hasChanges) {
+                console.log(chalk.gray('  No design-level changes'));
+            }
+
+            design = next;
+            return true;
+        }
+    });
+}
+
+// Report layers that bypass styles, variables, components or the spacing grid;
+// exits non-zero when anything is found so it can gate CI
+async function lint() {
+    const spinner = ora();
+    try {
+        const result = parseTarget();
+        const figmaData = await loadFigmaData(result, selectedNodeIds(result), spinner);
+
+        spinner.start('Linting design...');
+        const { findings, summary } = lintDesign(figmaData, { fileId: result.fileId });
+
+        if (outputArg) {
+            await fs.promises.writeFile(outputPath, JSON.stringify({ file: figmaData.name, summary, findings }, null, 2));
+        }
+
+        if (findings.length === 0) {
+            spinner.succeed('No lint findings');
+            return;
+        }
+        spinner.fail(`${findings.length} lint finding(s)`);
+
+        Object.entries(summary).filter(([_, count]) => count > 0).forEach(([rule]) => {
+            console.log(chalk.bold(`\n${rule} (${summary[rule]})`));
+            findings.filter(finding => finding.rule === rule).forEach(finding => {
+                console.log(`  ${chalk.yellow(finding.nodeId)} ${finding.name}`);
+                console.log(chalk.gray(`    ${finding.message}: ${finding.details}`));
+                if (finding.url) {
+                    console.log(chalk.gray(`    ${finding.url}`));
+                }
+            });
+        });
+        if (outputArg) {
+            console.log(chalk.blue(`\nLint report saved to ${outputPath}`));
+        }
+        process.exitCode = 1;
+    } catch (error) {
+        spinner.fail(chalk.red('Error: ' + error.message));
+        process.exit(1);
+    }
+}
+
+// Compare two versions of a file, or two saved payloads, at the design-system level
+async function diff() {
+    const spinner = ora();
+    try {
+        const snapshots = [];
+        if (diffSnapshots) {
+            for (const snapshotPath of diffSnapshots) {
+                spinner.start(`Reading Figma file data from ${snapshotPath}...`);
+                snapshots.push(await readFigmaSnapshot(snapshotPath));
+                spinner.succeed(`Figma file data loaded from ${snapshotPath}`);
+            }
+        } else {
+            const figma = configureFigmaClient({ cache: { enabled: !noCache, refresh: refreshCache } });
+            const result = parseTarget();
+            let from = fromVersion;
+            let to = toVersion;
+            // Without --from, compare the two most recent versions
+            if (!from) {
+                spinner.start('Fetching version history...');
+                const versions = await figma.getVersions(result.fileId);
+                spinner.succeed(`Version history fetched: ${versions.length} version(s)`);
+                const toIndex = to ? versions.findIndex(version => version.id === to) : 0;
+                if (toIndex < 0 || !versions[toIndex + 1]) {
+                    throw new Error('No earlier version to compare with; pass --from=<version>');
+                }
+                to = versions[toIndex].id;
+                from = versions[toIndex + 1].id;
+            }
+            for (const version of [from, to]) {
+                spinner.start(`Fetching ${version ? `version ${version}` : 'current file'} from Figma API...`);
+                snapshots.push(await figma.getFile(result.fileId, { version }));
+                spinner.succeed(`Fetched ${version ? `version ${version}` : 'current file'}`);
+            }
+        }
+
+        spinner.start('Comparing designs...');
+        const nodeIds = diffSnapshots ? nodeArgs : selectedNodeIds(parseTarget());
+        const [before, after] = snapshots.map(data => {
+            const scoped = nodeIds.length > 0 ? scopeFileData(data, nodeIds) : data;
+            return summarizeDesign(scoped, buildTokens(scoped));
+        });
+        const changes = diffDesigns(before, after);
+        spinner.succeed(changes.hasChanges ? 'Design changes found' : 'No design changes');
+
+        const markdownPath = outputArg ? outputPath : 'design-diff.md';
+        const jsonPath = markdownPath.replace(/(\.md)?$/, '.json');
+        await fs.promises.writeFile(markdownPath, formatDiffMarkdown(changes));
+        await fs.promises.writeFile(jsonPath, JSON.stringify(changes, null, 2));
+        spinner.succeed(`Design diff saved to ${markdownPath} and ${jsonPath}`);
+
+        Object.entries(changes.summary).forEach(([section, { added, removed, changed }]) => {
+            console.log(`  ${section}: ${chalk.green(`+${added}`)} ${chalk.red(`-${removed}`)} ${chalk.yellow(`~${changed}`)}`);
+        });
     } catch (error) {
         spinner.fail(chalk.red('Error: ' + error.message));
         process.exit(1);
     }
 }
 
-main(); 
\ No newline at end of file
+const commands = { lint, diff };
+(commands[command] || (watchArg ? watch : main))(); 
\ No newline at end of file
@@ -0,0 +1,216 @@
+import { contrastRatio, rgbToHex } from '../utils/color.js';
+
+// WCAG 2.x large text: at least 24px, or 18.66px (14pt) bold
+const LARGE_TEXT_SIZE = 24;
+const LARGE_BOLD_TEXT_SIZE = 18.66;
+
+const CONTRAST_LEVELS = {
+    AA: { normal: 4.5, large: 3 },
+    AAA: { normal: 7, large: 4.5 }
+};
+
+const INTERACTIVE_NAME = /\b(button|btn|link|cta|toggle|switch|checkbox|radio|tab|input|select|dropdown|chip|close|menu|icon[-\s]?button)\b/i;
+const DEFAULT_LAYER_NAME = /^(rectangle|image|frame|ellipse|group|vector|polygon|photo|img|pic|picture|untitled)?\s*\d*$/i;
+
+// Visible solid paint as 0-255 RGB plus alpha, honoring layer and paint opacity
+function solidColor(paints, opacity = 1) {
+    const paint = paints?.find(p => p.type === 'SOLID' && p.visible !== false);
+    if (!paint) return null;
+    return {
+        r: paint.color.r * 255,
+        g: paint.color.g * 255,
+        b: paint.color.b * 255,
+        a: (paint.color.a ?? 1) * (paint.opacity ?? 1) * opacity
+    };
+}
+
+// A layer's own background paint; its opacity is applied with everything inside it
+function backgroundOf(node) {
+    const fill = solidColor(node.fills);
+    if (fill && fill.a > 0) return fill;
+    if (node.backgroundColor && (node.backgroundColor.a ?? 1) > 0) {
+        return solidColor([{ type: 'SOLID', color: node.backgroundColor }]);
+    }
+    return null;
+}
+
+// Alpha-composite `top` over an opaque `bottom`
+function blend(top, bottom) {
+    const a = top.a ?? 1;
+    return {
+        r: top.r * a + bottom.r * (1 - a),
+        g: top.g * a + bottom.g * (1 - a),
+        b: top.b * a + bottom.b * (1 - a),
+        a: 1
+    };
+}
+
+// Color of one pixel: ancestor backgrounds from the root down over white, then
+// `top` if given. A layer's opacity fades its background and its whole
+// subtree, so what is rendered inside it is mixed with what lies below it.
+function render(ancestors, top = null, below = { r: 255, g: 255, b: 255, a: 1 }) {
+    if (ancestors.length === 0) return top ? blend(top, below) : below;
+    const [node, ...inner] = ancestors;
+    const background = backgroundOf(node);
+    const inside = render(inner, top, background ? blend(background, below) : below);
+    return blend({ ...inside, a: node.opacity ?? 1 }, below);
+}
+
+// Color behind a text layer and the nearest ancestor that paints it
+function effectiveBackground(ancestors) {
+    const node = ancestors.findLast(ancestor => backgroundOf(ancestor));
+    return node ? { color: render(ancestors), node } : null;
+}
+
+function toHex(color) {
+    return rgbToHex(Math.round(color.r), Math.round(color.g), Math.round(color.b));
+}
+
+function isLargeText(style) {
+    const size = style?.fontSize || 0;
+    return size >= LARGE_TEXT_SIZE || (size >= LARGE_BOLD_TEXT_SIZE && (style?.fontWeight || 400) >= 700);
+}
+
+function looksInteractive(node) {
+    if (!['INSTANCE', 'COMPONENT', 'FRAME', 'GROUP'].includes(node.type)) return false;
+    return INTERACTIVE_NAME.test(node.name) || node.reactions?.length > 0 || Boolean(node.transitionNodeID);
+}
+
+function walk(node, visit, ancestors = [], parentName = '') {
+    if (!node || node.visible === false) return;
+    const fullName = parentName ? `${parentName}/${node.name}` : node.name;
+    visit(node, fullName, ancestors);
+    node.children?.forEach(child => walk(child, visit, [...ancestors, node], fullName));
+}
+
+// WCAG contrast of every text layer against its nearest ancestor background,
+// plus small text, small touch targets and images without a descriptive name
+export function auditAccessibility(document, {
+    level = 'AA',
+    minFontSize = 12,
+    minTargetSize = 44
+} = {}) {
+    const report = {
+        level,
+        contrast: [],
+        smallText: [],
+        smallTargets: [],
+        unnamedImages: []
+    };
+
+    walk(document, (node, fullName, ancestors) => {
+        const box = node.absoluteBoundingBox;
+
+        if (node.type === 'TEXT') {
+            const foreground = solidColor(node.fills, node.opacity ?? 1);
+            const background = effectiveBackground(ancestors);
+            if (foreground && background) {
+                const text = render(ancestors, foreground);
+                const contrast = contrastRatio(text, background.color);
+                const large = isLargeText(node.style);
+                const passes = Object.fromEntries(Object.entries(CONTRAST_LEVELS).map(([name, thresholds]) =>
+                    [name, contrast >= (large ? thresholds.large : thresholds.normal)]));
+                // Truncated for display, so a failing 4.495:1 is not shown as 4.5:1
+                const ratio = Math.floor(contrast * 100) / 100;
+
+                if (!passes[level]) {
+                    report.contrast.push({
+                        id: node.id,
+                        name: fullName,
+                        text: node.characters,
+                        foreground: toHex(text),
+                        background: toHex(background.color),
+                        backgroundNodeId: background.node.id,
+                        ratio,
+                        largeText: large,
+                        required: CONTRAST_LEVELS[level][large ? 'large' : 'normal'],
+                        passes
+                    });
+                }
+            }
+
+            if (node.style?.fontSize && node.style.fontSize < minFontSize) {
+                report.smallText.push({
+                    id: node.id,
+                    name: fullName,
+                    text: node.characters,
+                    fontSize: node.style.fontSize,
+                    minimum: minFontSize
+                });
+            }
+        }
+
+        if (box && looksInteractive(node) && (box.width < minTargetSize || box.height < minTargetSize)) {
+            report.smallTargets.push({
+                id: node.id,
+                name: fullName,
+                width: box.width,
+                height: box.height,
+                minimum: minTargetSize
+            });
+        }
+
+        if (node.fills?.some(fill => fill.type === 'IMAGE' && fill.visible !== false) && DEFAULT_LAYER_NAME.test(node.name.trim())) {
+            report.unnamedImages.push({
+                id: node.id,
+                name: fullName,
+                imageRef: node.fills.find(fill => fill.type === 'IMAGE')?.imageRef || null
+            });
+        }
+    });
+
+    report.summary = {
+        contrastFailures: report.contrast.length,
+        smallText: report.smallText.length,
+        smallTargets: report.smallTargets.length,
+        unnamedImages: report.unnamedImages.length
+    };
+    report.passed = Object.values(report.summary).every(count => count === 0);
+
+    return report;
+}
+
+export function formatAccessibilityMarkdown(report) {
+    let output = '';
+
+    output += `Contrast failures (WCAG ${report.level}): ${report.summary.contrastFailures}, `;
+    output += `small text: ${report.summary.smallText}, `;
+    output += `small touch targets: ${report.summary.smallTargets}, `;
+    output += `images without descriptive names: ${report.summary.unnamedImages}\n\n`;
+
+    if (report.contrast.length > 0) {
+        output += `### Contrast Failures\n`;
+        report.contrast.forEach(issue => {
+            output += `- ${issue.name} (${issue.id}): "${issue.text}"\n`;
+            output += `  - ${issue.foreground} on ${issue.background}: ${issue.ratio}:1, needs ${issue.required}:1${issue.largeText ? ' (large text)' : ''}\n`;
+            output += `  - AA: ${issue.passes.AA ? 'pass' : 'fail'}, AAA: ${issue.passes.AAA ? 'pass' : 'fail'}\n`;
+        });
+        output += '\n';
+    }
+
+    if (report.smallText.length > 0) {
+        output += `### Text Below ${report.smallText[0].minimum}px\n`;
+        report.smallText.forEach(issue => {
+            output += `- ${issue.name} (${issue.id}): ${issue.fontSize}px "${issue.text}"\n`;
+        });
+        output += '\n';
+    }
+
+    if (report.smallTargets.length > 0) {
+        output += `### Touch Targets Below ${report.smallTargets[0].minimum}×${report.smallTargets[0].minimum}\n`;
+        report.smallTargets.forEach(issue => {
+            output += `- ${issue.name} (${issue.id}): ${issue.width}×${issue.height}\n`;
+        });
+        output += '\n';
+    }
+
+    if (report.unnamedImages.length > 0) {
+        output += `### Images Without Descriptive Names\n`;
+        report.unnamedImages.forEach(issue => {
+            output += `- ${issue.name} (${issue.id})\n`;
+        });
+        output += '\n';
+    }
+
+    return output;
+}
@@ -1,3 +1,6 @@
+import { layerName } from '../utils/naming.js';
+import { indexComponentNodes, instanceOverrides, formatPropertyValue, formatChangeValue, overrideLayerLabel } from './instance-overrides.js';
+
 export function processCanvases(document) {
     if (!document || !document.children) return [];
 
@@ -49,7 +52,8 @@ export function processCanvases(document) {
     });
 }
 
-export function processComponentInstances(node, instances = [], parentName = '') {
+// `mainComponents` (ID -> node) defaults to the components found under `node`
+export function processComponentInstances(node, instances = [], parentName = '', mainComponents = indexComponentNodes(node)) {
     if (!node) return instances;
 
     const fullName = parentName ? `${parentName}/${node.name}` : node.name;
@@ -68,13 +72,14 @@ export function processComponentInstances(node, instances = [], parentName = '')
             size: {
                 width: node.absoluteBoundingBox?.width || null,
                 height: node.absoluteBoundingBox?.height || null
-            }
+            },
+            ...instanceOverrides(node, mainComponents.get(node.componentId))
         });
     }
 
     if (node.children) {
         node.children.forEach(child => {
-            processComponentInstances(child, instances, fullName);
+            processComponentInstances(child, instances, fullName, mainComponents);
         });
     }
 
@@ -89,16 +94,22 @@ export function generateComponentYAML(components, instances) {
             name: comp.name,
             type: comp.type,
             description: comp.description,
+            props: comp.props,
+            variantProperties: comp.variantProperties,
             instances: []
         });
     });
+    const componentNames = Object.fromEntries(components.map(comp => [comp.id, layerName(comp.name)]));
 
     // Map instances to their components
     instances.forEach(instance => {
         if (componentMap.has(instance.componentId)) {
             componentMap.get(instance.componentId).instances.push({
                 id: instance.id,
-                name: instance.name
+                name: instance.name,
+                properties: instance.properties || [],
+                changes: instance.changes || [],
+                overrides: instance.overrides || []
             });
         }
     });
@@ -112,11 +123,63 @@ export function generateComponentYAML(components, instances) {
         if (value.description) {
             yaml += `    description: "${value.description}"\n`;
         }
+        if (value.variantProperties) {
+            yaml += `    variant: { ${Object.entries(value.variantProperties)
+                .map(([key, option]) => `${JSON.stringify(key)}: ${JSON.stringify(option)}`)
+                .join(', ')} }\n`;
+        }
+        if (value.props?.props.length > 0) {
+            yaml += '    props:\n';
+            value.props.props.forEach(prop => {
+                yaml += `      ${prop.name}:\n`;
+                yaml += `        figmaName: ${JSON.stringify(prop.figmaName)}\n`;
+                yaml += `        type: ${prop.type}\n`;
+                if (prop.values) {
+                    yaml += `        values: [${prop.values.map(option => JSON.stringify(option)).join(', ')}]\n`;
+                }
+                if (prop.default !== null) {
+                    // Instance swap defaults are component IDs
+                    const defaultValue = prop.type === 'INSTANCE_SWAP' ? componentNames[prop.default] || prop.default : prop.default;
+                    yaml += `        default: ${JSON.stringify(defaultValue)}\n`;
+                }
+            });
+        }
+        if (value.props?.variants.length > 0) {
+            yaml += '    variants:\n';
+            value.props.variants.forEach(variant => {
+                yaml += `      - id: ${variant.id}\n`;
+                yaml += `        properties: { ${Object.entries(variant.properties)
+                    .map(([key, option]) => `${JSON.stringify(key)}: ${JSON.stringify(option)}`)
+                    .join(', ')} }\n`;
+            });
+        }
         if (value.instances.length > 0) {
             yaml += '    instances:\n';
             value.instances.forEach(instance => {
                 yaml += `      - id: ${instance.id}\n`;
                 yaml += `        name: "${instance.name}"\n`;
+                if (instance.properties.length > 0) {
+                    yaml += `        properties: { ${instance.properties
+                        .map(property => `${JSON.stringify(property.name)}: ${JSON.stringify(
+                            property.type === 'INSTANCE_SWAP' ? formatPropertyValue(property, componentNames) : property.value
+                        )}`)
+                        .join(', ')} }\n`;
+                }
+                if (instance.changes.length > 0) {
+                    yaml += '        overrides:\n';
+                    instance.changes.forEach(change => {
+                        yaml += `          - layer: ${JSON.stringify(overrideLayerLabel(change))}\n`;
+                        yaml += `            field: ${change.field}\n`;
+                        yaml += `            from: ${JSON.stringify(change.field === 'component' ? formatChangeValue(change, change.before, componentNames) : change.before)}\n`;
+                        yaml += `            to: ${JSON.stringify(change.field === 'component' ? formatChangeValue(change, change.after, componentNames) : change.after)}\n`;
+                    });
+                }
+                if (instance.overrides.length > 0) {
+                    yaml += '        overriddenFields:\n';
+                    instance.overrides.forEach(override => {
+                        yaml += `          ${JSON.stringify(overrideLayerLabel(override))}: [${override.fields.join(', ')}]\n`;
+                    });
+                }
             });
         }
         yaml += '\n';
@@ -0,0 +1,250 @@
+import { layerName } from '../utils/naming.js';
+
+function indexNodes(document) {
+    const nodes = new Map();
+    const visit = node => {
+        if (!node) return;
+        nodes.set(node.id, node);
+        node.children?.forEach(visit);
+    };
+    visit(document);
+    return nodes;
+}
+
+// Instances placed directly in a component; the layers inside those instances
+// belong to the nested component and are counted there
+function directInstances(node, found = []) {
+    node.children?.forEach(child => {
+        if (child.type === 'INSTANCE') {
+            found.push(child);
+        } else {
+            directInstances(child, found);
+        }
+    });
+    return found;
+}
+
+// Tarjan's strongly connected components; every component with more than one
+// member is a dependency cycle
+function findCycles(graphNodes) {
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const cycles = [];
+    let counter = 0;
+
+    const connect = id => {
+        index.set(id, counter);
+        lowLink.set(id, counter);
+        counter++;
+        stack.push(id);
+        onStack.add(id);
+
+        graphNodes.get(id).dependencies.forEach(dependency => {
+            if (!index.has(dependency)) {
+                connect(dependency);
+                lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(dependency)));
+            } else if (onStack.has(dependency)) {
+                lowLink.set(id, Math.min(lowLink.get(id), index.get(dependency)));
+            }
+        });
+
+        if (lowLink.get(id) === index.get(id)) {
+            const members = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                members.push(member);
+            } while (member !== id);
+            if (members.length > 1) cycles.push(members.reverse());
+        }
+    };
+
+    graphNodes.forEach((_, id) => {
+        if (!index.has(id)) connect(id);
+    });
+    return cycles;
+}
+
+// Dependencies before dependents (atoms before molecules), alphabetical within
+// a level. Components in or above a cycle cannot be ordered and come last.
+function buildOrder(graphNodes) {
+    const remaining = new Map([...graphNodes].map(([id, node]) => [id, node.dependencies.length]));
+    const byName = (a, b) => graphNodes.get(a).name.localeCompare(graphNodes.get(b).name) || a.localeCompare(b);
+    let ready = [...remaining].filter(([_, count]) => count === 0).map(([id]) => id).sort(byName);
+    const order = [];
+
+    while (ready.length > 0) {
+        const next = [];
+        ready.forEach(id => {
+            remaining.delete(id);
+            const node = graphNodes.get(id);
+            node.level = Math.max(-1, ...node.dependencies.map(dependency => graphNodes.get(dependency).level)) + 1;
+            order.push(id);
+            node.dependents.forEach(dependent => {
+                remaining.set(dependent, remaining.get(dependent) - 1);
+                if (remaining.get(dependent) === 0) next.push(dependent);
+            });
+        });
+        ready = next.sort(byName);
+    }
+
+    const unordered = [...remaining.keys()].sort(byName);
+    return { order, unordered };
+}
+
+// Which components nest which: every component (variants folded into their
+// component set) depends on the components it places instances of. Library
+// components outside the file are included as external nodes. `instances` is
+// the processComponentInstances output, used for the componentIds and to
+// count usages outside components.
+export function buildComponentGraph(data, components, instances) {
+    const documentNodes = indexNodes(data.document);
+    const instanceComponents = new Map(instances.map(instance => [instance.id, instance.componentId]));
+
+    // Variant -> its component set, for local and library components
+    const owners = new Map();
+    components.forEach(component => {
+        component.props?.variants.forEach(variant => owners.set(variant.id, component.id));
+    });
+    Object.entries(data.components || {}).forEach(([id, meta]) => {
+        if (meta.componentSetId && !owners.has(id)) owners.set(id, meta.componentSetId);
+    });
+    const ownerOf = id => owners.get(id) || id;
+
+    const graphNodes = new Map();
+    const addNode = id => {
+        if (graphNodes.has(id)) return graphNodes.get(id);
+        const local = components.find(component => component.id === id);
+        const meta = data.components?.[id] || data.componentSets?.[id];
+        const node = {
+            id,
+            name: local ? layerName(local.name) : meta?.name || id,
+            path: local?.name || null,
+            type: local?.type || (data.componentSets?.[id] ? 'COMPONENT_SET' : 'COMPONENT'),
+            external: !local,
+            dependencies: [],
+            dependents: [],
+            instances: 0,
+            level: null
+        };
+        graphNodes.set(id, node);
+        return node;
+    };
+
+    components.filter(component => !owners.has(component.id)).forEach(component => addNode(component.id));
+
+    const insideComponents = new Set();
+    components.filter(component => component.type === 'COMPONENT').forEach(component => {
+        const source = addNode(ownerOf(component.id));
+        const node = documentNodes.get(component.id);
+        if (!node) return;
+        directInstances(node).forEach(instance => {
+            insideComponents.add(instance.id);
+            const componentId = instanceComponents.get(instance.id) || instance.componentId;
+            if (!componentId) return;
+            const target = addNode(ownerOf(componentId));
+            // A variant showing a sibling variant is not a dependency
+            if (target.id === source.id || source.dependencies.includes(target.id)) return;
+            source.dependencies.push(target.id);
+            target.dependents.push(source.id);
+        });
+    });
+
+    instances.forEach(instance => {
+        if (insideComponents.has(instance.id) || !instance.componentId) return;
+        const target = graphNodes.get(ownerOf(instance.componentId));
+        if (target) target.instances++;
+    });
+
+    const cycles = findCycles(graphNodes);
+    const { order, unordered } = buildOrder(graphNodes);
+
+    return {
+        nodes: [...graphNodes.values()],
+        edges: [...graphNodes.values()].flatMap(node => node.dependencies.map(dependency => ({ from: node.id, to: dependency }))),
+        cycles,
+        buildOrder: order,
+        unordered
+    };
+}
+
+function mermaidId(id) {
+    return `c${id.replace(/[^a-zA-Z0-9]/g, '_')}`;
+}
+
+function mermaidLabel(name) {
+    return name.replace(/"/g, '#quot;');
+}
+
+// Mermaid flowchart; an arrow points from a component to one it uses
+export function formatComponentGraphMermaid(graph) {
+    let output = 'graph TD\n';
+    graph.nodes.forEach(node => {
+        output += `    ${mermaidId(node.id)}["${mermaidLabel(node.name)}"]\n`;
+    });
+    graph.edges.forEach(edge => {
+        output += `    ${mermaidId(edge.from)} --> ${mermaidId(edge.to)}\n`;
+    });
+    const external = graph.nodes.filter(node => node.external);
+    if (external.length > 0) {
+        output += '    classDef external stroke-dasharray: 5 5\n';
+        output += `    class ${external.map(node => mermaidId(node.id)).join(',')} external\n`;
+    }
+    return output;
+}
+
+export function formatComponentGraphMarkdown(graph) {
+    const names = new Map(graph.nodes.map(node => [node.id, node]));
+    const label = id => `${names.get(id).name} (${id})`;
+    let output = '';
+
+    output += `Components: ${graph.nodes.length}, dependencies: ${graph.edges.length}, cycles: ${graph.cycles.length}\n\n`;
+    output += '```mermaid\n' + formatComponentGraphMermaid(graph) + '```\n\n';
+
+    output += '### Build Order\n';
+    graph.buildOrder.forEach((id, index) => {
+        const node = names.get(id);
+        const details = [`level ${node.level}`];
+        if (node.dependencies.length > 0) details.push(`uses ${node.dependencies.map(dependency => names.get(dependency).name).join(', ')}`);
+        if (node.external) details.push('external');
+        output += `${index + 1}. ${label(id)}: ${details.join(', ')}\n`;
+    });
+    output += '\n';
+
+    if (graph.cycles.length > 0) {
+        output += '### Cycles\n';
+        graph.cycles.forEach(cycle => {
+            output += `- ${[...cycle, cycle[0]].map(id => names.get(id).name).join(' → ')}\n`;
+        });
+        output += `\nNot orderable because of cycles: ${graph.unordered.map(label).join(', ')}\n\n`;
+    }
+
+    return output;
+}
+
+function dotString(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Graphviz DOT; cycle edges are drawn in red
+export function formatComponentGraphDot(graph) {
+    const cycleMembers = graph.cycles.map(cycle => new Set(cycle));
+    const inCycle = edge => cycleMembers.some(members => members.has(edge.from) && members.has(edge.to));
+
+    let output = 'digraph components {\n';
+    output += '    rankdir=LR;\n';
+    output += '    node [shape=box];\n';
+    graph.nodes.forEach(node => {
+        const attributes = [`label=${dotString(node.name)}`];
+        if (node.external) attributes.push('style=dashed');
+        output += `    ${dotString(node.id)} [${attributes.join(', ')}];\n`;
+    });
+    graph.edges.forEach(edge => {
+        output += `    ${dotString(edge.from)} -> ${dotString(edge.to)}${inCycle(edge) ? ' [color=red]' : ''};\n`;
+    });
+    output += '}\n';
+    return output;
+}
@@ -0,0 +1,101 @@
+import { camelCase } from '../utils/naming.js';
+
+const PROPERTY_TYPES = ['VARIANT', 'BOOLEAN', 'TEXT', 'INSTANCE_SWAP'];
+
+// Non-variant property keys carry a unique suffix: "Label#12:0" -> "Label"
+export function propertyDisplayName(key) {
+    return key.replace(/#[^#]*$/, '');
+}
+
+// Variant values in the order they first appear among the variants
+function variantValues(node, property) {
+    return [...new Set((node.children || [])
+        .map(child => child.variantProperties?.[property])
+        .filter(value => value !== undefined))];
+}
+
+// Props schema of a component or component set from componentPropertyDefinitions
+// and, for sets, each variant's variantProperties. INSTANCE_SWAP defaults are
+// component IDs.
+export function buildPropsSchema(node) {
+    const definitions = node.componentPropertyDefinitions || {};
+    const taken = new Set();
+    // camelCase prop name, numbered when another property already has it
+    const propName = figmaName => {
+        let name = camelCase(figmaName);
+        for (let index = 2; taken.has(name); index++) {
+            name = `${camelCase(figmaName)}${index}`;
+        }
+        taken.add(name);
+        return name;
+    };
+
+    const props = Object.entries(definitions)
+        .filter(([_, definition]) => PROPERTY_TYPES.includes(definition.type))
+        .map(([key, definition]) => {
+            const figmaName = propertyDisplayName(key);
+            const prop = { name: propName(figmaName), figmaName, key, type: definition.type, default: definition.defaultValue ?? null };
+            if (definition.type === 'VARIANT') {
+                prop.values = definition.variantOptions || variantValues(node, key);
+            }
+            if (definition.type === 'INSTANCE_SWAP') {
+                prop.preferredValues = (definition.preferredValues || []).map(value => value.key);
+            }
+            return prop;
+        });
+
+    // Component sets from older files may only describe variants on the children
+    if (node.type === 'COMPONENT_SET' && !props.some(prop => prop.type === 'VARIANT')) {
+        const variantKeys = [...new Set((node.children || []).flatMap(child => Object.keys(child.variantProperties || {})))];
+        const variantProps = variantKeys.map(key => {
+            const values = variantValues(node, key);
+            return { name: propName(key), figmaName: key, key, type: 'VARIANT', default: values[0] ?? null, values };
+        });
+        props.unshift(...variantProps);
+    }
+
+    const variants = node.type === 'COMPONENT_SET'
+        ? (node.children || [])
+            .filter(child => child.type === 'COMPONENT')
+            .map(child => ({ id: child.id, name: child.name, properties: child.variantProperties || {} }))
+        : [];
+
+    if (props.length === 0 && variants.length === 0) return null;
+    return { props, variants };
+}
+
+// Schema for an instance's main component: its own, or its component set's
+// when the component is a variant. Returns { component, schema } or null.
+export function findPropsSchema(components, componentId) {
+    const component = components.find(c => c.id === componentId);
+    if (component?.props) return { component, schema: component.props };
+    const set = components.find(c => c.props?.variants.some(variant => variant.id === componentId));
+    return set ? { component: set, schema: set.props } : null;
+}
+
+function tsString(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+// TypeScript type of a prop; instance swaps take the element to render in the slot
+export function propTsType(prop) {
+    switch (prop.type) {
+        case 'VARIANT':
+            return prop.values.length > 0 ? prop.values.map(tsString).join(' | ') : 'string';
+        case 'BOOLEAN':
+            return 'boolean';
+        case 'TEXT':
+            return 'string';
+        case 'INSTANCE_SWAP':
+            return 'ReactNode';
+        default:
+            return 'unknown';
+    }
+}
+
+// Default value as source text; `componentNames` (ID -> name) labels instance swaps
+export function propDefaultLabel(prop, componentNames = {}) {
+    if (prop.type === 'INSTANCE_SWAP') return prop.default ? componentNames[prop.default] || prop.default : null;
+    if (prop.default === null || prop.default === undefined) return null;
+    return prop.type === 'BOOLEAN' ? String(prop.default) : tsString(prop.default);
+}
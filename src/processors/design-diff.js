@@ -0,0 +1,221 @@
+import { px, shadowToCss, blurToCss } from '../utils/css.js';
+import { flattenTypography } from './token-processor.js';
+import { processCanvases, processComponentInstances } from './canvas-processor.js';
+
+const SECTIONS = ['tokens', 'components', 'frames', 'text'];
+
+function walk(node, visit, parentName = '') {
+    if (!node) return;
+    const fullName = parentName ? `${parentName}/${node.name}` : node.name;
+    visit(node, fullName);
+    node.children?.forEach(child => walk(child, visit, fullName));
+}
+
+function size(box) {
+    return box?.width && box?.height ? `${box.width}x${box.height}` : null;
+}
+
+function textStyleValue({ fontFamily, fontWeight, fontSize, lineHeight, letterSpacing }) {
+    return [
+        fontFamily,
+        fontWeight,
+        fontSize && (typeof lineHeight === 'number' ? `${px(fontSize)}/${px(lineHeight)}` : px(fontSize)),
+        letterSpacing ? `letter-spacing ${px(letterSpacing)}` : null
+    ].filter(Boolean).join(' ');
+}
+
+// Design tokens as `group/name` -> readable value; several values under one
+// name (e.g. layered shadows) are joined
+function summarizeTokens(tokens) {
+    const entries = {};
+    const add = (group, name, value) => {
+        const key = `${group}/${name}`;
+        entries[key] = entries[key]
+            ? { ...entries[key], value: `${entries[key].value}, ${value}` }
+            : { group, name, value };
+    };
+
+    Object.entries(tokens.colors).forEach(([category, colors]) => {
+        colors.forEach(token => {
+            add(`color/${category}`, token.name, token.opacity < 1 ? `${token.hex} ${Math.round(token.opacity * 100)}%` : token.hex);
+        });
+    });
+    flattenTypography(tokens).forEach(token => add('typography', token.name, textStyleValue(token.style)));
+    tokens.effects.shadows.forEach(token => add('shadow', token.name, shadowToCss(token.value)));
+    tokens.effects.blurs.forEach(token => add('blur', token.name, blurToCss(token.value).value));
+    tokens.gradients.forEach(token => add('gradient', token.name, token.css));
+    tokens.borders.forEach(token => add('border', token.name, token.css));
+    tokens.radii.forEach(token => add('radius', token.name, token.css));
+    tokens.spacing.forEach(token => {
+        const { top, right, bottom, left } = token.padding;
+        add('spacing', token.name, `gap ${px(token.itemSpacing)}, padding ${[top, right, bottom, left].map(px).join(' ')}`);
+    });
+    tokens.grids.forEach(token => {
+        add('grid', token.name, token.grids.map(grid => `${grid.pattern} ${grid.count ?? ''}`.trim()).join(', '));
+    });
+    tokens.variables.forEach(collection => {
+        collection.variables.forEach(variable => {
+            add('variable', `${collection.name}/${variable.name}`, collection.modes
+                .map(mode => `${mode}: ${variable.values[mode]}`)
+                .join(', '));
+        });
+    });
+
+    return entries;
+}
+
+// Reduce a file to the parts a design change matters for: tokens, components
+// (with how often they are instantiated), top-level frames and text content
+export function summarizeDesign(data, tokens) {
+    const nodes = new Map();
+    const text = {};
+    walk(data.document, (node, fullName) => {
+        nodes.set(node.id, node);
+        if (node.type === 'TEXT') {
+            text[node.id] = { name: fullName, characters: node.characters || '' };
+        }
+    });
+
+    const instanceCounts = new Map();
+    processComponentInstances(data.document).forEach(instance => {
+        instanceCounts.set(instance.componentId, (instanceCounts.get(instance.componentId) || 0) + 1);
+    });
+
+    const components = Object.fromEntries(tokens.components.map(component => [component.id, {
+        name: component.name,
+        type: component.type,
+        description: component.description,
+        size: size(nodes.get(component.id)?.absoluteBoundingBox),
+        children: nodes.get(component.id)?.children?.length || 0,
+        instances: instanceCounts.get(component.id) || 0
+    }]));
+
+    const frames = Object.fromEntries(processCanvases(data.document).flatMap(canvas =>
+        canvas.frames.map(frame => [frame.id, {
+            name: `${canvas.name}/${frame.name}`,
+            size: size(frame.size),
+            layoutMode: frame.layoutMode || null,
+            itemSpacing: frame.itemSpacing ?? null,
+            padding: Object.values(frame.padding).map(value => value ?? 0).join(' '),
+            elements: frame.elements
+        }])));
+
+    return {
+        name: data.name,
+        version: data.version || null,
+        lastModified: data.lastModified || null,
+        tokens: summarizeTokens(tokens),
+        components,
+        frames,
+        text
+    };
+}
+
+function diffRecords(before, after) {
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    Object.entries(after).forEach(([key, record]) => {
+        if (!(key in before)) {
+            added.push({ key, ...record });
+            return;
+        }
+        const changes = Object.keys({ ...before[key], ...record })
+            .filter(field => JSON.stringify(before[key][field]) !== JSON.stringify(record[field]))
+            .map(field => ({ field, before: before[key][field], after: record[field] }));
+        if (changes.length > 0) {
+            changed.push({ key, name: record.name, changes });
+        }
+    });
+    Object.entries(before).forEach(([key, record]) => {
+        if (!(key in after)) {
+            removed.push({ key, ...record });
+        }
+    });
+
+    return { added, removed, changed };
+}
+
+export function diffDesigns(before, after) {
+    const diff = {
+        from: { name: before.name, version: before.version, lastModified: before.lastModified },
+        to: { name: after.name, version: after.version, lastModified: after.lastModified }
+    };
+    SECTIONS.forEach(section => {
+        diff[section] = diffRecords(before[section], after[section]);
+    });
+    diff.summary = Object.fromEntries(SECTIONS.map(section => [section, {
+        added: diff[section].added.length,
+        removed: diff[section].removed.length,
+        changed: diff[section].changed.length
+    }]));
+    diff.hasChanges = SECTIONS.some(section =>
+        Object.values(diff.summary[section]).some(count => count > 0));
+
+    return diff;
+}
+
+function describeRecord(section, record) {
+    if (section === 'tokens') return `${record.group}/${record.name}: \`${record.value}\``;
+    if (section === 'text') return `${record.name} (${record.key}): "${record.characters}"`;
+    return `${record.name} (${record.key})`;
+}
+
+function formatValue(value) {
+    return value === null || value === undefined || value === '' ? '—' : `\`${value}\``;
+}
+
+function describeSnapshot(snapshot) {
+    const parts = [snapshot.name, snapshot.version && `version ${snapshot.version}`, snapshot.lastModified]
+        .filter(Boolean);
+    return parts.join(', ');
+}
+
+export function formatDiffMarkdown(diff) {
+    let output = '# Figma Design Diff\n\n';
+    output += `From: ${describeSnapshot(diff.from)}\n`;
+    output += `To: ${describeSnapshot(diff.to)}\n\n`;
+
+    output += '## Summary\n\n';
+    output += '| | Added | Removed | Changed |\n';
+    output += '|---|---|---|---|\n';
+    SECTIONS.forEach(section => {
+        const { added, removed, changed } = diff.summary[section];
+        output += `| ${section} | ${added} | ${removed} | ${changed} |\n`;
+    });
+    output += '\n';
+
+    if (!diff.hasChanges) {
+        return output + 'No design changes.\n';
+    }
+
+    SECTIONS.forEach(section => {
+        const { added, removed, changed } = diff[section];
+        if (added.length + removed.length + changed.length === 0) return;
+
+        output += `## ${section[0].toUpperCase()}${section.slice(1)}\n\n`;
+        if (added.length > 0) {
+            output += '### Added\n';
+            added.forEach(record => { output += `- ${describeRecord(section, record)}\n`; });
+            output += '\n';
+        }
+        if (removed.length > 0) {
+            output += '### Removed\n';
+            removed.forEach(record => { output += `- ${describeRecord(section, record)}\n`; });
+            output += '\n';
+        }
+        if (changed.length > 0) {
+            output += '### Changed\n';
+            changed.forEach(record => {
+                output += `- ${section === 'tokens' ? record.key : `${record.name} (${record.key})`}\n`;
+                record.changes.forEach(change => {
+                    output += `  - ${change.field}: ${formatValue(change.before)} → ${formatValue(change.after)}\n`;
+                });
+            });
+            output += '\n';
+        }
+    });
+
+    return output;
+}
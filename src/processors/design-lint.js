@@ -0,0 +1,141 @@
+import { inferSpacingScale } from './scale-inference.js';
+import { figmaNodeUrl } from '../utils/url-parser.js';
+import { figmaColorToHex } from '../utils/color.js';
+import { indexComponentNodes, instanceOverrides } from './instance-overrides.js';
+
+// Text properties that can be bound to variables instead of a text style
+const TEXT_VARIABLE_PROPERTIES = ['fontFamily', 'fontSize', 'fontStyle', 'fontWeight', 'lineHeight', 'letterSpacing'];
+
+export const LINT_RULES = {
+    'raw-fill': 'Fill is a raw value, not a color style or variable',
+    'raw-text-style': 'Text is not using a text style or variables',
+    'raw-effect': 'Effect is a raw value, not an effect style',
+    'detached-instance': 'Layer looks like a detached component instance',
+    'off-grid-spacing': 'Spacing is off the detected grid'
+};
+
+// Overridden instance fields that can bring in the value each rule checks
+const OVERRIDE_RULE_FIELDS = {
+    'raw-fill': ['fills', 'fillStyleId'],
+    'raw-text-style': ['style', 'textStyleId', 'fontName', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing'],
+    'raw-effect': ['effects', 'effectStyleId']
+};
+
+function hasBinding(node, property) {
+    const binding = node.boundVariables?.[property];
+    return Array.isArray(binding) ? binding.length > 0 : Boolean(binding);
+}
+
+function describePaint(paint) {
+    return paint.type === 'SOLID' ? figmaColorToHex(paint.color) : paint.type.toLowerCase();
+}
+
+function rawFills(node) {
+    if (node.styles?.fill || node.styles?.fills || hasBinding(node, 'fills')) return [];
+    return (node.fills || []).filter(paint =>
+        paint.visible !== false &&
+        (paint.type === 'SOLID' || paint.type.startsWith('GRADIENT_')) &&
+        !paint.boundVariables?.color);
+}
+
+function isRawText(node) {
+    if (node.type !== 'TEXT' || node.styles?.text) return false;
+    return !TEXT_VARIABLE_PROPERTIES.some(property => hasBinding(node, property));
+}
+
+function rawEffects(node) {
+    if (node.styles?.effect || hasBinding(node, 'effects')) return [];
+    return (node.effects || []).filter(effect => effect.visible !== false && !effect.boundVariables);
+}
+
+// Names of every component and component set; detaching an instance keeps its name
+function componentNames(data) {
+    return new Set([
+        ...Object.values(data.components || {}),
+        ...Object.values(data.componentSets || {})
+    ].map(component => component.name).filter(Boolean));
+}
+
+// Rules to check on each layer of an instance (node ID -> rule names): only the
+// fields that differ from the main component or that Figma reports as
+// overridden. Inherited values are linted on the main component itself.
+function instanceRules(instance, mainComponent) {
+    const { overrides, changes } = instanceOverrides(instance, mainComponent);
+    const fields = new Map();
+    const add = (nodeId, field) => {
+        if (!fields.has(nodeId)) fields.set(nodeId, new Set());
+        fields.get(nodeId).add(field);
+    };
+    changes.forEach(change => add(change.nodeId, change.field));
+    overrides.forEach(override => override.fields.forEach(field => add(override.nodeId, field)));
+
+    return new Map([...fields].map(([nodeId, nodeFields]) => [
+        nodeId,
+        Object.keys(OVERRIDE_RULE_FIELDS).filter(rule => OVERRIDE_RULE_FIELDS[rule].some(field => nodeFields.has(field)))
+    ]));
+}
+
+// `visit` gets the rules that apply to the layer, or null for all of them.
+// Nested instances are covered by the outermost instance's overrides.
+function walk(node, visit, mainComponents, parentName = '', rules = null) {
+    if (!node || node.visible === false) return;
+    if (node.type === 'INSTANCE' && !rules) {
+        rules = instanceRules(node, mainComponents.get(node.componentId));
+    }
+    const fullName = parentName ? `${parentName}/${node.name}` : node.name;
+    visit(node, fullName, rules ? rules.get(node.id) || [] : null);
+    node.children?.forEach(child => walk(child, visit, mainComponents, fullName, rules));
+}
+
+// Find layers that bypass the design system: raw fills, text and effects,
+// detached instances and off-grid auto-layout spacing
+export function lintDesign(data, { fileId = null } = {}) {
+    const findings = [];
+    const components = componentNames(data);
+
+    const report = (rule, node, name, details) => {
+        findings.push({
+            rule,
+            message: LINT_RULES[rule],
+            nodeId: node.id,
+            name,
+            details,
+            url: figmaNodeUrl(fileId, node.id)
+        });
+    };
+
+    walk(data.document, (node, fullName, rules) => {
+        if (node.type === 'DOCUMENT' || node.type === 'CANVAS') return;
+        const checks = rule => !rules || rules.includes(rule);
+
+        const fills = checks('raw-fill') ? rawFills(node) : [];
+        if (fills.length > 0) {
+            report('raw-fill', node, fullName, fills.map(describePaint).join(', '));
+        }
+
+        if (checks('raw-text-style') && isRawText(node)) {
+            const { fontFamily, fontSize, fontWeight } = node.style || {};
+            report('raw-text-style', node, fullName, [fontFamily, fontSize && `${fontSize}px`, fontWeight].filter(Boolean).join(' '));
+        }
+
+        const effects = checks('raw-effect') ? rawEffects(node) : [];
+        if (effects.length > 0) {
+            report('raw-effect', node, fullName, effects.map(effect => effect.type.toLowerCase()).join(', '));
+        }
+
+        if (!rules && (node.type === 'FRAME' || node.type === 'GROUP') && components.has(node.name)) {
+            report('detached-instance', node, fullName, `named like component "${node.name}"`);
+        }
+    }, indexComponentNodes(data.document));
+
+    const spacing = inferSpacingScale(data.document);
+    spacing.offScale.forEach(usage => {
+        report('off-grid-spacing', { id: usage.id }, usage.name,
+            `${usage.property} ${usage.value}px, nearest ${usage.nearest}px on the ${spacing.baseUnit}px grid`);
+    });
+
+    const summary = Object.fromEntries(Object.keys(LINT_RULES).map(rule =>
+        [rule, findings.filter(finding => finding.rule === rule).length]));
+
+    return { findings, summary, baseUnit: spacing.baseUnit };
+}
@@ -0,0 +1,124 @@
+import { figmaColorToHex } from '../utils/color.js';
+import { propertyDisplayName } from './component-props.js';
+
+// Main components in the file by ID; library components are not in the tree
+export function indexComponentNodes(document) {
+    const nodes = new Map();
+    const visit = node => {
+        if (!node) return;
+        if (node.type === 'COMPONENT') nodes.set(node.id, node);
+        node.children?.forEach(visit);
+    };
+    visit(document);
+    return nodes;
+}
+
+// Instance sublayers have IDs like "I1:2;3:4"; the last segment is the ID of
+// the matching layer in the main component
+function sourceId(id) {
+    return id.split(';').pop().replace(/^I/, '');
+}
+
+function describeFills(fills) {
+    return (fills || [])
+        .filter(paint => paint.visible !== false)
+        .map(paint => {
+            if (paint.type === 'SOLID') {
+                const hex = figmaColorToHex(paint.color);
+                return paint.opacity !== undefined && paint.opacity < 1 ? `${hex} ${Math.round(paint.opacity * 100)}%` : hex;
+            }
+            if (paint.type === 'IMAGE') return `image ${paint.imageRef || ''}`.trim();
+            return paint.type.toLowerCase();
+        })
+        .join(', ');
+}
+
+// Walk the instance and its main component side by side and record the text,
+// fill and visibility differences, plus nested instances swapped for another component
+function diffSubtree(instanceNode, mainNode, path, changes) {
+    const change = (field, before, after) => {
+        changes.push({ nodeId: instanceNode.id, layer: path, field, before, after });
+    };
+
+    // Hiding the instance itself is part of its placement, not an override
+    const visible = instanceNode.visible !== false;
+    if (path && visible !== (mainNode.visible !== false)) {
+        change('visible', !visible, visible);
+    }
+    if (instanceNode.type === 'TEXT' && (instanceNode.characters ?? '') !== (mainNode.characters ?? '')) {
+        change('text', mainNode.characters ?? '', instanceNode.characters ?? '');
+    }
+    const fills = describeFills(instanceNode.fills);
+    const mainFills = describeFills(mainNode.fills);
+    if (fills !== mainFills) {
+        change('fills', mainFills, fills);
+    }
+    if (instanceNode.type === 'INSTANCE' && mainNode.type === 'INSTANCE' && instanceNode.componentId !== mainNode.componentId) {
+        change('component', mainNode.componentId, instanceNode.componentId);
+        return;
+    }
+
+    const mainChildren = new Map((mainNode.children || []).map(child => [sourceId(child.id), child]));
+    instanceNode.children?.forEach(child => {
+        const mainChild = mainChildren.get(sourceId(child.id));
+        if (mainChild) {
+            diffSubtree(child, mainChild, path ? `${path}/${child.name}` : child.name, changes);
+        }
+    });
+}
+
+// How an instance differs from its main component: component property values,
+// the fields Figma reports as overridden and the resulting text, fill and
+// visibility changes. Without the main component (e.g. a library component)
+// only the first two are available.
+export function instanceOverrides(instance, mainComponent) {
+    const properties = Object.entries(instance.componentProperties || {}).map(([key, property]) => ({
+        name: propertyDisplayName(key),
+        type: property.type,
+        value: property.value
+    }));
+
+    const layerNames = new Map();
+    const visit = (node, path) => {
+        layerNames.set(node.id, path);
+        node.children?.forEach(child => visit(child, path ? `${path}/${child.name}` : child.name));
+    };
+    visit(instance, '');
+    const overrides = (instance.overrides || [])
+        .filter(override => override.overriddenFields?.length > 0)
+        .map(override => ({
+            nodeId: override.id,
+            layer: layerNames.get(override.id) ?? null,
+            fields: override.overriddenFields
+        }));
+
+    const changes = [];
+    if (mainComponent) {
+        diffSubtree(instance, mainComponent, '', changes);
+    }
+
+    return { properties, overrides, changes };
+}
+
+// Property value as text; instance swap values are component IDs, labelled
+// through `componentNames` (ID -> name)
+export function formatPropertyValue(property, componentNames = {}) {
+    if (property.type === 'INSTANCE_SWAP') return componentNames[property.value] || String(property.value);
+    if (property.type === 'TEXT') return JSON.stringify(property.value);
+    return String(property.value);
+}
+
+// Value of a recorded change as text: quoted text, fills as hex/paint types,
+// swapped components by name
+export function formatChangeValue(change, value, componentNames = {}) {
+    if (change.field === 'component') return componentNames[value] || String(value);
+    if (change.field === 'text') return JSON.stringify(value);
+    if (change.field === 'fills') return value || 'none';
+    return String(value);
+}
+
+// Layer path of a change or override; the instance itself has an empty path
+export function overrideLayerLabel(entry) {
+    if (entry.layer === null) return entry.nodeId;
+    return entry.layer || '(instance)';
+}
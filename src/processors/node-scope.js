@@ -0,0 +1,83 @@
+export function findNodeById(node, id) {
+    if (!node) return null;
+    if (node.id === id) return node;
+
+    if (node.children) {
+        for (const child of node.children) {
+            const found = findNodeById(child, id);
+            if (found) return found;
+        }
+    }
+
+    return null;
+}
+
+// Build a document with the same DOCUMENT > CANVAS > node shape as a full file,
+// so the token, canvas and pseudo-code processors work on the selection unchanged
+export function createScopedDocument(nodes) {
+    const canvases = nodes.filter(node => node.type === 'CANVAS');
+    const others = nodes.filter(node => node.type !== 'CANVAS');
+
+    if (others.length > 0) {
+        canvases.push({
+            id: 'selection',
+            name: 'Selection',
+            type: 'CANVAS',
+            children: others
+        });
+    }
+
+    return {
+        id: '0:0',
+        name: 'Document',
+        type: 'DOCUMENT',
+        children: canvases
+    };
+}
+
+// Scope a full /v1/files/:id response to the given node IDs
+export function scopeFileData(figmaData, nodeIds) {
+    const nodes = nodeIds.map(id => {
+        const node = findNodeById(figmaData.document, id);
+        if (!node) {
+            throw new Error(`Node ${id} not found in file`);
+        }
+        return node;
+    });
+
+    return {
+        ...figmaData,
+        document: createScopedDocument(nodes),
+        scopedNodeIds: nodeIds
+    };
+}
+
+// Convert a /v1/files/:id/nodes response into the shape of a file response
+export function fileDataFromNodes(nodesData, nodeIds) {
+    const styles = {};
+    const components = {};
+    const componentSets = {};
+
+    const nodes = nodeIds.map(id => {
+        const entry = nodesData.nodes?.[id];
+        if (!entry || !entry.document) {
+            throw new Error(`Node ${id} not found in file`);
+        }
+        Object.assign(styles, entry.styles);
+        Object.assign(components, entry.components);
+        Object.assign(componentSets, entry.componentSets);
+        return entry.document;
+    });
+
+    return {
+        name: nodesData.name,
+        lastModified: nodesData.lastModified,
+        thumbnailUrl: nodesData.thumbnailUrl,
+        version: nodesData.version,
+        document: createScopedDocument(nodes),
+        styles,
+        components,
+        componentSets,
+        scopedNodeIds: nodeIds
+    };
+}
@@ -0,0 +1,156 @@
+const SPACING_PROPERTIES = [
+    'itemSpacing', 'counterAxisSpacing', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft'
+];
+
+const BASE_UNIT_CANDIDATES = [8, 4];
+
+// Share of spacing values a base unit must divide before it counts as the grid
+const GRID_COVERAGE = 0.8;
+
+const RATIO_NAMES = [
+    [1.067, 'Minor Second'],
+    [1.125, 'Major Second'],
+    [1.2, 'Minor Third'],
+    [1.25, 'Major Third'],
+    [1.333, 'Perfect Fourth'],
+    [1.414, 'Augmented Fourth'],
+    [1.5, 'Perfect Fifth'],
+    [1.618, 'Golden Ratio']
+];
+
+function walk(node, visit, parentName = '') {
+    if (!node) return;
+    const fullName = parentName ? `${parentName}/${node.name}` : node.name;
+    visit(node, fullName);
+    node.children?.forEach(child => walk(child, visit, fullName));
+}
+
+// Size names around the most used size: ..., xs, sm, base, lg, xl, 2xl, ...
+function sizeName(index, baseIndex) {
+    const offset = index - baseIndex;
+    if (offset === 0) return 'base';
+    if (offset === -1) return 'sm';
+    if (offset === 1) return 'lg';
+    if (offset < 0) return offset === -2 ? 'xs' : `${-offset - 1}xs`;
+    return offset === 2 ? 'xl' : `${offset - 1}xl`;
+}
+
+function nearestRatioName(ratio) {
+    const [value, name] = RATIO_NAMES.reduce((best, entry) =>
+        Math.abs(entry[0] - ratio) < Math.abs(best[0] - ratio) ? entry : best);
+    return Math.abs(value - ratio) <= 0.03 ? name : null;
+}
+
+// Rank every text size and weight in use into a type ramp, largest first
+export function inferTypeScale(document) {
+    const steps = new Map();
+
+    walk(document, (node, fullName) => {
+        if (node.type !== 'TEXT' || !node.style?.fontSize) return;
+        const { fontSize, fontWeight = 400, fontFamily, lineHeightPx } = node.style;
+        const key = `${fontSize}/${fontWeight}`;
+        if (!steps.has(key)) {
+            steps.set(key, { fontSize, fontWeight, fontFamilies: new Set(), lineHeights: new Set(), nodes: [] });
+        }
+        const step = steps.get(key);
+        if (fontFamily) step.fontFamilies.add(fontFamily);
+        if (lineHeightPx) step.lineHeights.add(Math.round(lineHeightPx * 100) / 100);
+        step.nodes.push({ id: node.id, name: fullName });
+    });
+
+    if (steps.size === 0) {
+        return { steps: [], ratio: null, ratioName: null };
+    }
+
+    // The most used size is the base; others are named relative to it
+    const usageBySize = new Map();
+    steps.forEach(step => {
+        usageBySize.set(step.fontSize, (usageBySize.get(step.fontSize) || 0) + step.nodes.length);
+    });
+    const sizes = [...usageBySize.keys()].sort((a, b) => a - b);
+    const baseSize = [...usageBySize.entries()].reduce((best, entry) => entry[1] > best[1] ? entry : best)[0];
+    const baseIndex = sizes.indexOf(baseSize);
+
+    const weightsBySize = new Map();
+    steps.forEach(step => {
+        weightsBySize.set(step.fontSize, (weightsBySize.get(step.fontSize) || 0) + 1);
+    });
+
+    const ramp = [...steps.values()]
+        .sort((a, b) => b.fontSize - a.fontSize || b.fontWeight - a.fontWeight)
+        .map(step => {
+            const name = sizeName(sizes.indexOf(step.fontSize), baseIndex);
+            return {
+                name: weightsBySize.get(step.fontSize) > 1 ? `${name}-${step.fontWeight}` : name,
+                fontSize: step.fontSize,
+                fontWeight: step.fontWeight,
+                fontFamilies: [...step.fontFamilies].sort(),
+                lineHeights: [...step.lineHeights].sort((a, b) => a - b),
+                usageCount: step.nodes.length,
+                nodes: step.nodes
+            };
+        });
+
+    // Geometric mean of the ratios between consecutive sizes
+    let ratio = null;
+    if (sizes.length > 1) {
+        ratio = Math.round(Math.pow(sizes[sizes.length - 1] / sizes[0], 1 / (sizes.length - 1)) * 1000) / 1000;
+    }
+
+    return { steps: ramp, ratio, ratioName: ratio ? nearestRatioName(ratio) : null };
+}
+
+// Detect the spacing grid unit from auto-layout gaps and paddings, list the
+// scale steps in use and flag values that fall off the grid
+export function inferSpacingScale(document) {
+    const usages = [];
+
+    walk(document, (node, fullName) => {
+        if (!node.layoutMode || node.layoutMode === 'NONE') return;
+        SPACING_PROPERTIES.forEach(property => {
+            const value = node[property];
+            if (typeof value === 'number' && value > 0) {
+                usages.push({ value: Math.round(value * 100) / 100, property, id: node.id, name: fullName });
+            }
+        });
+    });
+
+    if (usages.length === 0) {
+        return { baseUnit: null, coverage: null, steps: [], offScale: [] };
+    }
+
+    const coverageFor = unit => usages.filter(usage => usage.value % unit === 0).length / usages.length;
+    const candidates = BASE_UNIT_CANDIDATES.map(unit => ({ unit, coverage: coverageFor(unit) }));
+    const best = candidates.find(candidate => candidate.coverage >= GRID_COVERAGE) ||
+        candidates.reduce((a, b) => b.coverage > a.coverage ? b : a);
+
+    const steps = new Map();
+    const offScale = [];
+    usages.forEach(usage => {
+        if (usage.value % best.unit !== 0) {
+            offScale.push({
+                ...usage,
+                nearest: Math.max(best.unit, Math.round(usage.value / best.unit) * best.unit)
+            });
+            return;
+        }
+        if (!steps.has(usage.value)) {
+            steps.set(usage.value, { value: usage.value, multiplier: usage.value / best.unit, usageCount: 0 });
+        }
+        steps.get(usage.value).usageCount++;
+    });
+
+    return {
+        baseUnit: best.unit,
+        coverage: Math.round(best.coverage * 1000) / 1000,
+        steps: [...steps.values()].sort((a, b) => a.value - b.value),
+        offScale
+    };
+}
+
+export function inferScales(document) {
+    return {
+        typography: inferTypeScale(document),
+        spacing: inferSpacingScale(document)
+    };
+}
@@ -0,0 +1,172 @@
+import { deltaE2000 } from '../utils/color.js';
+import { layerName } from '../utils/naming.js';
+
+// Tokens tied to a style or variable are deliberate design decisions: they are
+// never merged with each other, but raw values identical to them are merged in
+function semanticKey(token) {
+    return token.styleId || token.variableId || null;
+}
+
+function createGroup(token, extra = {}) {
+    return { members: [token], ...extra };
+}
+
+function groupSourceIds(group) {
+    return [...new Set(group.members.flatMap(token => token.sourceIds || [token.id]))];
+}
+
+// Prefer the style or variable name, else the most common layer name
+function canonicalMember(group) {
+    const semantic = group.members.find(token => semanticKey(token));
+    if (semantic) return semantic;
+
+    const counts = new Map();
+    group.members.forEach(token => {
+        const name = layerName(token.name);
+        counts.set(name, (counts.get(name) || 0) + 1);
+    });
+    const [bestName] = [...counts.entries()].reduce((best, entry) => entry[1] > best[1] ? entry : best);
+    return group.members.find(token => layerName(token.name) === bestName);
+}
+
+function finalizeGroup(group) {
+    const canonical = canonicalMember(group);
+    const sourceIds = groupSourceIds(group);
+    const aliases = [...new Set(group.members.map(token => token.name))]
+        .filter(name => name !== canonical.name);
+
+    return {
+        ...canonical,
+        sourceIds,
+        usageCount: sourceIds.length,
+        aliases
+    };
+}
+
+function byUsage(a, b) {
+    return b.usageCount - a.usageCount || a.name.localeCompare(b.name);
+}
+
+// Merge tokens whose `valueKey` is identical into one token per value
+function mergeIdentical(tokens, valueKey) {
+    const semanticGroups = new Map();
+    const valueGroups = new Map();
+
+    // A style can hold several values (e.g. layered shadows), so keep them apart
+    tokens.filter(token => semanticKey(token)).forEach(token => {
+        const key = `${semanticKey(token)}|${valueKey(token)}`;
+        if (semanticGroups.has(key)) {
+            semanticGroups.get(key).members.push(token);
+        } else {
+            semanticGroups.set(key, createGroup(token, { value: valueKey(token) }));
+        }
+    });
+
+    tokens.filter(token => !semanticKey(token)).forEach(token => {
+        const value = valueKey(token);
+        const semantic = [...semanticGroups.values()].find(group => group.value === value);
+        if (semantic) {
+            semantic.members.push(token);
+        } else if (valueGroups.has(value)) {
+            valueGroups.get(value).members.push(token);
+        } else {
+            valueGroups.set(value, createGroup(token, { value }));
+        }
+    });
+
+    return { semanticGroups: [...semanticGroups.values()], valueGroups: [...valueGroups.values()] };
+}
+
+function colorValue(token) {
+    return `${token.hex}/${token.opacity ?? 1}`;
+}
+
+function normalizeColors(colors, deltaE) {
+    const all = Object.entries(colors).flatMap(([category, list]) =>
+        list.map(token => ({ ...token, category })));
+    const { semanticGroups, valueGroups } = mergeIdentical(all, colorValue);
+
+    // Near-identical raw colors fold into the closest kept color, most used first
+    const kept = [...semanticGroups];
+    valueGroups
+        .sort((a, b) => groupSourceIds(b).length - groupSourceIds(a).length)
+        .forEach(group => {
+            const token = group.members[0];
+            let closest = null;
+            let closestDistance = Infinity;
+            if (deltaE > 0) {
+                kept.forEach(candidate => {
+                    const other = candidate.members[0];
+                    if ((other.opacity ?? 1) !== (token.opacity ?? 1)) return;
+                    const distance = deltaE2000(token.color, other.color);
+                    if (distance <= deltaE && distance < closestDistance) {
+                        closest = candidate;
+                        closestDistance = distance;
+                    }
+                });
+            }
+
+            if (closest) {
+                closest.members.push(...group.members);
+            } else {
+                kept.push(group);
+            }
+        });
+
+    const result = Object.fromEntries(Object.keys(colors).map(category => [category, []]));
+    kept.forEach(group => {
+        const merged = finalizeGroup(group);
+        merged.mergedValues = [...new Set(group.members.map(token => token.hex))]
+            .filter(hex => hex !== merged.hex);
+        const { category, ...token } = merged;
+        result[category].push(token);
+    });
+    Object.values(result).forEach(list => list.sort(byUsage));
+    return result;
+}
+
+function normalizeList(list, valueKey) {
+    const { semanticGroups, valueGroups } = mergeIdentical(list, valueKey);
+    return [...semanticGroups, ...valueGroups]
+        .map(group => finalizeGroup(group))
+        .sort(byUsage);
+}
+
+function textValue(token) {
+    const { fills, ...style } = token.style;
+    return JSON.stringify(style);
+}
+
+function effectValue(token) {
+    const { visible, ...effect } = token.value;
+    return JSON.stringify(effect);
+}
+
+function spacingValue(token) {
+    return JSON.stringify([token.type, token.itemSpacing, token.padding]);
+}
+
+// Merge duplicate tokens into one per distinct value, recording usage counts and
+// source node IDs. Colors within `deltaE` (CIEDE2000) of a more used color are
+// merged into it; 0 merges exact matches only.
+export function normalizeTokens(tokens, { deltaE = 2 } = {}) {
+    tokens.colors = normalizeColors(tokens.colors, deltaE);
+
+    tokens.typography.headings = Object.fromEntries(
+        Object.entries(tokens.typography.headings).map(([level, styles]) => [level, normalizeList(styles, textValue)])
+    );
+    tokens.typography.body = normalizeList(tokens.typography.body, textValue);
+    tokens.typography.other = normalizeList(tokens.typography.other, textValue);
+
+    tokens.effects = Object.fromEntries(
+        Object.entries(tokens.effects).map(([group, effects]) => [group, normalizeList(effects, effectValue)])
+    );
+
+    tokens.spacing = normalizeList(tokens.spacing, spacingValue);
+    tokens.gradients = normalizeList(tokens.gradients, token => token.css);
+    tokens.images = normalizeList(tokens.images, token => token.imageRef);
+    tokens.borders = normalizeList(tokens.borders, token => `${token.css}/${token.align}/${JSON.stringify(token.individualWeights)}`);
+    tokens.radii = normalizeList(tokens.radii, token => token.css);
+
+    return tokens;
+}
@@ -1,26 +1,193 @@
-import { rgbToHex } from '../utils/color.js';
+import { rgbToHex, figmaColorToHex } from '../utils/color.js';
+import { gradientToCss, radiusToCss, borderToCss } from '../utils/css.js';
+import { slugify, layerName, categoryKey } from '../utils/naming.js';
+import { buildPropsSchema } from './component-props.js';
 
-export function processDesignTokens(node, tokens = {
-    typography: {
-        headings: {
-            h1: [], h2: [], h3: [], h4: [], h5: [], h6: []
+function createColorToken(id, name, fill) {
+    return {
+        id,
+        name,
+        color: {
+            r: Math.round(fill.color.r * 255),
+            g: Math.round(fill.color.g * 255),
+            b: Math.round(fill.color.b * 255),
+            a: fill.color.a,
         },
-        body: [],
-        other: []
-    },
-    colors: {
-        primary: [],
-        secondary: [],
-        text: [],
-        background: [],
-        other: []
-    },
+        hex: rgbToHex(
+            Math.round(fill.color.r * 255),
+            Math.round(fill.color.g * 255),
+            Math.round(fill.color.b * 255)
+        ),
+        opacity: fill.color.a,
+        variableId: fill.boundVariables?.color?.id || null
+    };
+}
+
+function createTextToken(id, name, node) {
+    return {
+        id,
+        name,
+        content: node.characters,
+        style: {
+            fontFamily: node.style?.fontFamily,
+            fontWeight: node.style?.fontWeight,
+            fontSize: node.style?.fontSize,
+            lineHeight: node.style?.lineHeightPx || node.style?.lineHeight,
+            letterSpacing: node.style?.letterSpacing,
+            textCase: node.style?.textCase,
+            textDecoration: node.style?.textDecoration,
+            textAlignHorizontal: node.style?.textAlignHorizontal,
+            paragraphSpacing: node.style?.paragraphSpacing,
+            fills: node.fills
+        }
+    };
+}
+
+function addColorToken(tokens, nameLower, colorToken) {
+    if (nameLower.includes('primary')) {
+        tokens.colors.primary.push(colorToken);
+    } else if (nameLower.includes('secondary')) {
+        tokens.colors.secondary.push(colorToken);
+    } else if (nameLower.includes('text') || nameLower.includes('typography')) {
+        tokens.colors.text.push(colorToken);
+    } else if (nameLower.includes('background') || nameLower.includes('bg')) {
+        tokens.colors.background.push(colorToken);
+    } else {
+        tokens.colors.other.push(colorToken);
+    }
+}
+
+function addTextToken(tokens, nameLower, textStyle) {
+    if (nameLower.includes('heading') || nameLower.match(/h[1-6]/)) {
+        const headingLevel = nameLower.match(/h([1-6])/)?.[1];
+        if (headingLevel) {
+            tokens.typography.headings[`h${headingLevel}`].push(textStyle);
+        } else {
+            tokens.typography.other.push(textStyle);
+        }
+    } else if (nameLower.includes('body') || nameLower.includes('text') || nameLower.includes('paragraph')) {
+        tokens.typography.body.push(textStyle);
+    } else {
+        tokens.typography.other.push(textStyle);
+    }
+}
+
+function addEffectToken(tokens, effectToken) {
+    const effectType = effectToken.type;
+    if (effectType === 'DROP_SHADOW' || effectType === 'INNER_SHADOW') {
+        tokens.effects.shadows.push(effectToken);
+    } else if (effectType === 'LAYER_BLUR' || effectType === 'BACKGROUND_BLUR') {
+        tokens.effects.blurs.push(effectToken);
+    } else {
+        tokens.effects.other.push(effectToken);
+    }
+}
+
+const PAINT_NODE_TYPES = ['RECTANGLE', 'VECTOR', 'ELLIPSE', 'FRAME', 'TEXT'];
+const STROKE_NODE_TYPES = [...PAINT_NODE_TYPES, 'COMPONENT', 'INSTANCE', 'LINE', 'POLYGON', 'STAR'];
+const RADIUS_NODE_TYPES = ['RECTANGLE', 'FRAME', 'COMPONENT', 'COMPONENT_SET', 'INSTANCE'];
+
+function createGradientToken(id, name, paint) {
+    return {
+        id,
+        name,
+        type: paint.type,
+        stops: (paint.gradientStops || []).map(stop => ({
+            position: stop.position,
+            color: figmaColorToHex(stop.color)
+        })),
+        opacity: paint.opacity ?? 1,
+        css: gradientToCss(paint)
+    };
+}
+
+function createBorderToken(id, name, node, stroke) {
+    const border = {
+        id,
+        name,
+        color: figmaColorToHex({ ...stroke.color, a: (stroke.color.a ?? 1) * (stroke.opacity ?? 1) }),
+        weight: node.strokeWeight ?? 1,
+        individualWeights: node.individualStrokeWeights || null,
+        align: node.strokeAlign || 'INSIDE',
+        dashPattern: node.strokeDashes || node.dashPattern || []
+    };
+    return { ...border, css: borderToCss(border) };
+}
+
+function createRadiusToken(id, name, node) {
+    const corners = node.rectangleCornerRadii;
+    const uniform = !corners || corners.every(value => value === corners[0]);
+    const value = uniform ? (corners ? corners[0] : node.cornerRadius) : corners;
+    return { id, name, value, css: radiusToCss(value) };
+}
+
+// Fills, strokes and corner radii shared by shapes, frames and text
+function processPaints(node, tokens, fullName, nameLower) {
+    if (PAINT_NODE_TYPES.includes(node.type)) {
+        node.fills?.forEach(fill => {
+            if (fill.visible === false) return;
+            if (fill.type === 'SOLID') {
+                // A text fill is a text color whatever the layer is called
+                addColorToken(tokens, node.type === 'TEXT' ? 'text' : nameLower, createColorToken(node.id, fullName, fill));
+            } else if (fill.type.startsWith('GRADIENT_')) {
+                tokens.gradients.push(createGradientToken(node.id, fullName, fill));
+            } else if (fill.type === 'IMAGE') {
+                tokens.images.push({
+                    id: node.id,
+                    name: fullName,
+                    imageRef: fill.imageRef || null,
+                    scaleMode: fill.scaleMode || null
+                });
+            }
+        });
+    }
+
+    if (STROKE_NODE_TYPES.includes(node.type) && node.strokeWeight > 0) {
+        node.strokes?.forEach(stroke => {
+            if (stroke.visible !== false && stroke.type === 'SOLID') {
+                tokens.borders.push(createBorderToken(node.id, fullName, node, stroke));
+            }
+        });
+    }
+
+    if (RADIUS_NODE_TYPES.includes(node.type) && (node.cornerRadius > 0 || node.rectangleCornerRadii?.some(value => value > 0))) {
+        tokens.radii.push(createRadiusToken(node.id, fullName, node));
+    }
+}
+
+function createEmptyStyleTokens() {
+    return {
+        typography: {
+            headings: {
+                h1: [], h2: [], h3: [], h4: [], h5: [], h6: []
+            },
+            body: [],
+            other: []
+        },
+        colors: {
+            primary: [],
+            secondary: [],
+            text: [],
+            background: [],
+            other: []
+        },
+        effects: {
+            shadows: [],
+            blurs: [],
+            other: []
+        },
+        gradients: [],
+        grids: []
+    };
+}
+
+export function processDesignTokens(node, tokens = {
+    ...createEmptyStyleTokens(),
     spacing: [],
-    effects: {
-        shadows: [],
-        blurs: [],
-        other: []
-    },
+    images: [],
+    borders: [],
+    radii: [],
+    variables: [],
     components: [],
     styles: []
 }, parentName = '') {
@@ -38,98 +205,28 @@ export function processDesignTokens(node, tokens = {
                 name: fullName,
                 type: node.type,
                 description: node.description || null,
-                styles: node.styles || null
+                styles: node.styles || null,
+                props: buildPropsSchema(node),
+                variantProperties: node.variantProperties || null
             });
             break;
 
         case 'TEXT':
-            const textStyle = {
-                id: node.id,
-                name: fullName,
-                content: node.characters,
-                style: {
-                    fontFamily: node.style?.fontFamily,
-                    fontWeight: node.style?.fontWeight,
-                    fontSize: node.style?.fontSize,
-                    lineHeight: node.style?.lineHeightPx || node.style?.lineHeight,
-                    letterSpacing: node.style?.letterSpacing,
-                    textCase: node.style?.textCase,
-                    textDecoration: node.style?.textDecoration,
-                    textAlignHorizontal: node.style?.textAlignHorizontal,
-                    paragraphSpacing: node.style?.paragraphSpacing,
-                    fills: node.fills
-                }
-            };
-
-            // Categorize typography
-            if (nameLower.includes('heading') || nameLower.match(/h[1-6]/)) {
-                const headingLevel = nameLower.match(/h([1-6])/)?.[1];
-                if (headingLevel) {
-                    tokens.typography.headings[`h${headingLevel}`].push(textStyle);
-                }
-            } else if (nameLower.includes('body') || nameLower.includes('text') || nameLower.includes('paragraph')) {
-                tokens.typography.body.push(textStyle);
-            } else {
-                tokens.typography.other.push(textStyle);
-            }
+            addTextToken(tokens, nameLower, createTextToken(node.id, fullName, node));
             break;
 
         case 'RECTANGLE':
         case 'VECTOR':
         case 'ELLIPSE':
-            if (node.fills && node.fills.length > 0) {
-                node.fills.forEach(fill => {
-                    if (fill.type === 'SOLID') {
-                        const colorToken = {
-                            id: node.id,
-                            name: fullName,
-                            color: {
-                                r: Math.round(fill.color.r * 255),
-                                g: Math.round(fill.color.g * 255),
-                                b: Math.round(fill.color.b * 255),
-                                a: fill.color.a,
-                            },
-                            hex: rgbToHex(
-                                Math.round(fill.color.r * 255),
-                                Math.round(fill.color.g * 255),
-                                Math.round(fill.color.b * 255)
-                            ),
-                            opacity: fill.color.a
-                        };
-
-                        // Categorize colors
-                        if (nameLower.includes('primary')) {
-                            tokens.colors.primary.push(colorToken);
-                        } else if (nameLower.includes('secondary')) {
-                            tokens.colors.secondary.push(colorToken);
-                        } else if (nameLower.includes('text') || nameLower.includes('typography')) {
-                            tokens.colors.text.push(colorToken);
-                        } else if (nameLower.includes('background') || nameLower.includes('bg')) {
-                            tokens.colors.background.push(colorToken);
-                        } else {
-                            tokens.colors.other.push(colorToken);
-                        }
-                    }
-                });
-            }
-
             // Process effects
             if (node.effects && node.effects.length > 0) {
                 node.effects.forEach(effect => {
-                    const effectToken = {
+                    addEffectToken(tokens, {
                         id: node.id,
                         name: fullName,
                         type: effect.type,
                         value: effect
-                    };
-
-                    if (effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW') {
-                        tokens.effects.shadows.push(effectToken);
-                    } else if (effect.type === 'LAYER_BLUR' || effect.type === 'BACKGROUND_BLUR') {
-                        tokens.effects.blurs.push(effectToken);
-                    } else {
-                        tokens.effects.other.push(effectToken);
-                    }
+                    });
                 });
             }
             break;
@@ -147,12 +244,15 @@ export function processDesignTokens(node, tokens = {
                         right: node.paddingRight,
                         bottom: node.paddingBottom,
                         left: node.paddingLeft
-                    }
+                    },
+                    boundVariables: node.boundVariables || null
                 });
             }
             break;
     }
 
+    processPaints(node, tokens, fullName, nameLower);
+
     // Process styles if present
     if (node.styles) {
         tokens.styles.push({
@@ -172,6 +272,113 @@ export function processDesignTokens(node, tokens = {
     return tokens;
 }
 
+// Map each style ID to the first node that uses it (with its node.styles key)
+// and the IDs of every node that uses it
+function collectStyleUsages(node, usages = new Map()) {
+    if (!node) return usages;
+
+    if (node.styles) {
+        Object.entries(node.styles).forEach(([key, styleId]) => {
+            if (!usages.has(styleId)) {
+                usages.set(styleId, { node, key, nodeIds: [] });
+            }
+            usages.get(styleId).nodeIds.push(node.id);
+        });
+    }
+
+    if (node.children) {
+        node.children.forEach(child => collectStyleUsages(child, usages));
+    }
+
+    return usages;
+}
+
+// Merge /v1/files/:id/styles metadata into the file's styles map, keyed by style node ID
+export function mergePublishedStyles(styles = {}, publishedStyles = []) {
+    const merged = { ...styles };
+    publishedStyles.forEach(published => {
+        const existing = merged[published.node_id] || {};
+        merged[published.node_id] = {
+            ...existing,
+            key: existing.key || published.key,
+            name: existing.name || published.name,
+            styleType: existing.styleType || published.style_type,
+            description: existing.description || published.description || ''
+        };
+    });
+    return merged;
+}
+
+// Replace heuristic colors, typography, effects and grids with one token per named
+// Figma style. Style types the file does not define keep their heuristic tokens.
+export function applyPublishedStyles(tokens, document, styles) {
+    if (!styles || Object.keys(styles).length === 0) return tokens;
+
+    const styled = createEmptyStyleTokens();
+    const usages = collectStyleUsages(document);
+    const foundTypes = new Set();
+
+    Object.entries(styles).forEach(([styleId, style]) => {
+        const usage = usages.get(styleId);
+        if (!usage) return;
+
+        const { node, key, nodeIds } = usage;
+        const nameLower = style.name.toLowerCase();
+        const meta = {
+            styleId,
+            styleKey: style.key || null,
+            description: style.description || null,
+            sourceIds: nodeIds
+        };
+
+        switch (style.styleType) {
+            case 'FILL': {
+                const paints = key.startsWith('stroke') ? node.strokes : node.fills;
+                const fill = paints?.find(paint => paint.type === 'SOLID' && paint.visible !== false);
+                const gradient = paints?.find(paint => paint.type.startsWith('GRADIENT_') && paint.visible !== false);
+                if (fill) {
+                    addColorToken(styled, nameLower, { ...createColorToken(node.id, style.name, fill), ...meta });
+                    foundTypes.add('FILL');
+                } else if (gradient) {
+                    styled.gradients.push({ ...createGradientToken(node.id, style.name, gradient), ...meta });
+                    foundTypes.add('GRADIENT');
+                }
+                break;
+            }
+
+            case 'TEXT':
+                if (node.style) {
+                    addTextToken(styled, nameLower, { ...createTextToken(node.id, style.name, node), ...meta });
+                    foundTypes.add('TEXT');
+                }
+                break;
+
+            case 'EFFECT':
+                node.effects?.forEach(effect => {
+                    addEffectToken(styled, { id: node.id, name: style.name, type: effect.type, value: effect, ...meta });
+                    foundTypes.add('EFFECT');
+                });
+                break;
+
+            case 'GRID':
+                if (node.layoutGrids?.length > 0) {
+                    styled.grids.push({ id: node.id, name: style.name, grids: node.layoutGrids, ...meta });
+                    foundTypes.add('GRID');
+                }
+                break;
+        }
+    });
+
+    if (foundTypes.has('FILL')) tokens.colors = styled.colors;
+    if (foundTypes.has('TEXT')) tokens.typography = styled.typography;
+    if (foundTypes.has('EFFECT')) tokens.effects = styled.effects;
+    if (foundTypes.has('GRADIENT')) tokens.gradients = styled.gradients;
+    if (foundTypes.has('GRID')) tokens.grids = styled.grids;
+    tokens.source = foundTypes.size > 0 ? 'styles' : 'layers';
+
+    return tokens;
+}
+
 export function formatTokenCount(tokens) {
     let counts = {
         typography: Object.values(tokens.typography.headings).flat().length + 
@@ -179,11 +386,30 @@ export function formatTokenCount(tokens) {
                    tokens.typography.other.length,
         colors: Object.values(tokens.colors).flat().length,
         effects: Object.values(tokens.effects).flat().length,
+        gradients: tokens.gradients.length,
+        borders: tokens.borders.length,
+        radii: tokens.radii.length,
+        images: tokens.images.length,
         spacing: tokens.spacing.length,
+        grids: tokens.grids.length,
+        variables: tokens.variables.reduce((sum, collection) => sum + collection.variables.length, 0),
         components: tokens.components.length,
         styles: tokens.styles.length
     };
     return Object.entries(counts)
         .map(([key, value]) => `${key}: ${value}`)
         .join(', ');
-} 
\ No newline at end of file
+}
+
+// All text styles in heading, body, other order, each with a short key for exporters
+export function flattenTypography(tokens) {
+    return [
+        ...Object.entries(tokens.typography.headings).flatMap(([level, styles]) =>
+            styles.map(style => ({ ...style, key: level }))),
+        ...tokens.typography.body.map(style => {
+            const key = categoryKey(style.name, 'body');
+            return { ...style, key: key === 'DEFAULT' ? 'body' : `body-${key}` };
+        }),
+        ...tokens.typography.other.map(style => ({ ...style, key: slugify(layerName(style.name)) }))
+    ];
+}
@@ -0,0 +1,192 @@
+import { figmaColorToHex } from '../utils/color.js';
+
+function isAlias(value) {
+    return value && typeof value === 'object' && value.type === 'VARIABLE_ALIAS';
+}
+
+function formatValue(value, resolvedType) {
+    if (resolvedType === 'COLOR' && value && typeof value === 'object') {
+        return figmaColorToHex(value);
+    }
+    return value;
+}
+
+// Resolve the value of a variable in a mode, following alias chains. Aliases into
+// another collection use the mode with the same name there, else its default mode.
+// Circular aliases resolve to null.
+function resolveValue(variable, modeName, context, seen = new Set()) {
+    if (seen.has(variable.id)) return null;
+    seen.add(variable.id);
+
+    const collection = context.collections[variable.variableCollectionId];
+    const mode = collection?.modes.find(m => m.name === modeName);
+    const modeId = mode?.modeId || collection?.defaultModeId;
+    const value = variable.valuesByMode?.[modeId];
+
+    if (!isAlias(value)) {
+        return formatValue(value, variable.resolvedType);
+    }
+
+    const target = context.variables[value.id];
+    if (!target) return null;
+    return resolveValue(target, modeName, context, seen);
+}
+
+const DIMENSION_SCOPES = [
+    'CORNER_RADIUS', 'WIDTH_HEIGHT', 'GAP', 'STROKE_FLOAT', 'EFFECT_FLOAT',
+    'FONT_SIZE', 'LINE_HEIGHT', 'LETTER_SPACING', 'PARAGRAPH_SPACING', 'PARAGRAPH_INDENT'
+];
+
+// Token type of a processed variable: color, dimension, number, fontFamily, fontWeight, string or boolean
+export function variableTokenType(variable) {
+    if (variable.type === 'COLOR') return 'color';
+    if (variable.type === 'BOOLEAN') return 'boolean';
+    if (variable.type === 'STRING') {
+        return variable.scopes.includes('FONT_FAMILY') ? 'fontFamily' : 'string';
+    }
+    if (variable.scopes.includes('FONT_WEIGHT')) return 'fontWeight';
+    if (variable.scopes.length > 0 && variable.scopes.every(scope => DIMENSION_SCOPES.includes(scope))) {
+        return 'dimension';
+    }
+    return 'number';
+}
+
+export function processVariables(variablesData) {
+    const meta = variablesData?.meta || variablesData || {};
+    const context = {
+        variables: meta.variables || {},
+        collections: meta.variableCollections || {}
+    };
+    const byId = new Map();
+
+    const collections = Object.values(context.collections)
+        .filter(collection => !collection.remote)
+        .map(collection => {
+            const modes = collection.modes || [];
+            const defaultMode = modes.find(m => m.modeId === collection.defaultModeId) || modes[0];
+
+            const variables = (collection.variableIds || Object.keys(context.variables))
+                .map(id => context.variables[id])
+                .filter(variable => variable && variable.variableCollectionId === collection.id)
+                .map(variable => {
+                    const values = {};
+                    const aliases = {};
+                    modes.forEach(mode => {
+                        const raw = variable.valuesByMode?.[mode.modeId];
+                        if (isAlias(raw)) {
+                            const target = context.variables[raw.id];
+                            aliases[mode.name] = target
+                                ? `${context.collections[target.variableCollectionId]?.name}/${target.name}`
+                                : raw.id;
+                        }
+                        values[mode.name] = resolveValue(variable, mode.name, context);
+                    });
+
+                    const processed = {
+                        id: variable.id,
+                        name: variable.name,
+                        collection: collection.name,
+                        type: variable.resolvedType,
+                        description: variable.description || null,
+                        scopes: variable.scopes || [],
+                        values,
+                        aliases
+                    };
+                    byId.set(variable.id, processed);
+                    return processed;
+                });
+
+            return {
+                id: collection.id,
+                name: collection.name,
+                modes: modes.map(mode => mode.name),
+                defaultMode: defaultMode?.name || null,
+                variables
+            };
+        });
+
+    return { collections, byId };
+}
+
+// Name of the variable a node property is bound to, e.g. "Colors/Primary" for a fill
+export function boundVariableName(binding, variableSet) {
+    const alias = Array.isArray(binding) ? binding[0] : binding;
+    if (!isAlias(alias)) return null;
+    const variable = variableSet?.byId.get(alias.id);
+    return variable ? `${variable.collection}/${variable.name}` : null;
+}
+
+// Every variable binding in a subtree, including bindings on individual paints
+export function collectBoundVariables(node, variableSet, bindings = []) {
+    if (!node || !variableSet) return bindings;
+
+    const add = (property, binding) => {
+        const variable = boundVariableName(binding, variableSet);
+        if (variable) {
+            bindings.push({ nodeId: node.id, nodeName: node.name, property, variable });
+        }
+    };
+
+    Object.entries(node.boundVariables || {}).forEach(([property, binding]) => {
+        if (property !== 'fills' && property !== 'strokes') {
+            add(property, binding);
+        }
+    });
+    ['fills', 'strokes'].forEach(property => {
+        node[property]?.forEach((paint, index) => {
+            if (paint.boundVariables?.color) {
+                add(`${property}[${index}]`, paint.boundVariables.color);
+            }
+        });
+    });
+
+    node.children?.forEach(child => collectBoundVariables(child, variableSet, bindings));
+    return bindings;
+}
+
+// Add variable collections to the tokens and attach bound variable names to color
+// and spacing tokens, so outputs show the variable alongside the resolved value
+export function applyVariables(tokens, variableSet) {
+    if (!variableSet || variableSet.byId.size === 0) return tokens;
+
+    tokens.variables = variableSet.collections;
+
+    Object.values(tokens.colors).flat().forEach(token => {
+        if (token.variableId) {
+            token.variable = boundVariableName({ type: 'VARIABLE_ALIAS', id: token.variableId }, variableSet);
+        }
+    });
+
+    tokens.spacing.forEach(spacing => {
+        if (!spacing.boundVariables) return;
+        spacing.variables = Object.fromEntries(
+            Object.entries(spacing.boundVariables)
+                .map(([property, binding]) => [property, boundVariableName(binding, variableSet)])
+                .filter(([_, name]) => name)
+        );
+    });
+
+    return tokens;
+}
+
+export function formatVariablesMarkdown(variableSet) {
+    let output = '';
+    variableSet.collections.forEach(collection => {
+        if (collection.variables.length === 0) return;
+
+        output += `### ${collection.name}\n`;
+        output += `Modes: ${collection.modes.join(', ')} (default: ${collection.defaultMode})\n\n`;
+        output += `| Variable | Type | ${collection.modes.join(' | ')} |\n`;
+        output += `|----------|------|${collection.modes.map(() => '---').join('|')}|\n`;
+        collection.variables.forEach(variable => {
+            const cells = collection.modes.map(mode => {
+                const value = variable.values[mode];
+                const display = value === null || value === undefined ? '' : String(value);
+                return variable.aliases[mode] ? `{${variable.aliases[mode]}} → ${display}` : display;
+            });
+            output += `| ${variable.name} | ${variable.type} | ${cells.join(' | ')} |\n`;
+        });
+        output += '\n';
+    });
+    return output;
+}
@@ -1,65 +1,342 @@
 import fetch from 'node-fetch';
+import { defaultCacheDir, readCache, writeCache } from './cache.js';
 
-export async function getFigmaFileData(fileId) {
-    const response = await fetch(`https://api.figma.com/v1/files/${fileId}`, {
-        headers: {
-            'X-Figma-Token': process.env.FIGMA_ACCESS_TOKEN
-        }
-    });
+const DEFAULT_BASE_URL = 'https://api.figma.com';
+
+// Image URLs from /v1/images expire after 30 days; reuse cached ones for less than that
+const IMAGE_URL_MAX_AGE = 14 * 24 * 60 * 60 * 1000;
+
+// Image fill URLs live for up to 14 days from when Figma issued them, which
+// may be long before we cached them; only reuse them briefly. The downloaded
+// bitmaps are kept by the asset exporter, keyed by imageRef.
+const IMAGE_FILL_URL_MAX_AGE = 60 * 60 * 1000;
 
-    if (!response.ok) {
-        throw new Error(`Failed to fetch Figma file: ${response.statusText}`);
+// Node IDs per /v1/images request
+const IMAGE_BATCH_SIZE = 50;
+
+export class FigmaApiError extends Error {
+    constructor(message, { status = null, path = null, details = null } = {}) {
+        super(message);
+        this.name = 'FigmaApiError';
+        this.status = status;
+        this.path = path;
+        this.details = details;
     }
+}
+
+// 403: the token is invalid or expired, or it cannot open this file
+export class FigmaAuthError extends FigmaApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'FigmaAuthError';
+    }
+}
+
+export class FigmaNotFoundError extends FigmaApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'FigmaNotFoundError';
+    }
+}
+
+// Still rate limited after every retry, or asked to wait longer than the
+// client's maxRetryDelay; `retryAfter` is the requested wait in ms
+export class FigmaRateLimitError extends FigmaApiError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'FigmaRateLimitError';
+        this.retryAfter = options.retryAfter ?? null;
+    }
+}
+
+export class FigmaTimeoutError extends FigmaApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'FigmaTimeoutError';
+    }
+}
 
-    return response.json();
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRetryable(status) {
+    return status === 429 || status >= 500;
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function retryAfterMs(response) {
+    const header = response.headers.get('retry-after');
+    if (!header) return null;
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function errorDetail(body) {
+    if (!body || typeof body !== 'object') return typeof body === 'string' && body ? body : null;
+    return body.err || body.message || null;
 }
 
-export async function getFigmaImage(fileId, nodeId) {
-    // Clean up the file ID (remove any 'design/' prefix)
-    const cleanFileId = fileId.replace('design/', '');
-    
-    // First, get the image URL from Figma
-    const response = await fetch(`https://api.figma.com/v1/images/${cleanFileId}?ids=${nodeId}`, {
-        headers: {
-            'X-Figma-Token': process.env.FIGMA_ACCESS_TOKEN
+function cleanFileId(fileId) {
+    return fileId.replace('design/', '');
+}
+
+export class FigmaClient {
+    constructor({
+        token = process.env.FIGMA_ACCESS_TOKEN,
+        // FIGMA_API_URL points the client at another host, e.g. a local stub server in tests
+        baseUrl = process.env.FIGMA_API_URL || DEFAULT_BASE_URL,
+        timeout = 30000,
+        retries = 3,
+        retryDelay = 1000,
+        maxRetryDelay = 60000,
+        cache = {}
+    } = {}) {
+        this.token = token;
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.timeout = timeout;
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+        this.maxRetryDelay = maxRetryDelay;
+        this.cache = {
+            enabled: cache.enabled ?? false,
+            refresh: cache.refresh ?? false,
+            dir: cache.dir || defaultCacheDir()
+        };
+        // Current version of each file, looked up once per client
+        this.fileStamps = new Map();
+    }
+
+    // Exponential backoff with jitter: ~1s, 2s, 4s, ...
+    backoff(attempt) {
+        const delay = this.retryDelay * Math.pow(2, attempt);
+        return Math.min(this.maxRetryDelay, delay * (0.75 + Math.random() * 0.5));
+    }
+
+    // GET a Figma API path. Network errors, timeouts, 429 and 5xx responses are
+    // retried; 429s wait for Retry-After when the server sends it, unless that
+    // is longer than maxRetryDelay, in which case they fail right away.
+    async request(path, description) {
+        return this.send(`${this.baseUrl}${path}`, {
+            headers: {
+                'X-Figma-Token': this.token
+            },
+            description,
+            path
+        });
+    }
+
+    // Download a file such as a rendered image; these URLs are not on the API
+    // host, so the token is not sent
+    async download(url, description) {
+        return this.send(url, { description, path: url, binary: true });
+    }
+
+    async send(url, { headers = {}, description, path, binary = false }) {
+        for (let attempt = 0; ; attempt++) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), this.timeout);
+            let response;
+            let body;
+
+            try {
+                response = await fetch(url, {
+                    headers,
+                    signal: controller.signal
+                });
+                const buffer = Buffer.from(await response.arrayBuffer());
+                if (binary && response.ok) {
+                    body = buffer;
+                } else {
+                    const text = buffer.toString('utf8');
+                    try {
+                        body = text ? JSON.parse(text) : null;
+                    } catch {
+                        body = text;
+                    }
+                }
+            } catch (error) {
+                const failure = error.name === 'AbortError'
+                    ? new FigmaTimeoutError(`Failed to ${description}: no response within ${this.timeout / 1000}s`, { path })
+                    : new FigmaApiError(`Failed to ${description}: ${error.message}`, { path });
+                if (attempt < this.retries) {
+                    await sleep(this.backoff(attempt));
+                    continue;
+                }
+                throw failure;
+            } finally {
+                clearTimeout(timer);
+            }
+
+            if (response.ok) {
+                return body;
+            }
+
+            const retryAfter = retryAfterMs(response);
+            if (isRetryable(response.status) && attempt < this.retries && !(retryAfter > this.maxRetryDelay)) {
+                await sleep(retryAfter ?? this.backoff(attempt));
+                continue;
+            }
+
+            throw this.createError(response, body, { path, description, retryAfter, attempt });
         }
-    });
+    }
 
-    if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(`Failed to get image URL: ${response.statusText}${errorData.err ? ` - ${errorData.err}` : ''}`);
+    createError(response, body, { path, description, retryAfter, attempt }) {
+        const detail = errorDetail(body);
+        const options = { status: response.status, path, details: body };
+        const reason = `${response.status} ${response.statusText}${detail ? ` - ${detail}` : ''}`;
+
+        switch (response.status) {
+            case 403:
+                return new FigmaAuthError(
+                    `Failed to ${description}: ${reason}. Check that FIGMA_ACCESS_TOKEN is valid and has access to this file.`,
+                    options
+                );
+            case 404:
+                return new FigmaNotFoundError(`Failed to ${description}: ${reason}. Check the file or node ID.`, options);
+            case 429:
+                return new FigmaRateLimitError(retryAfter > this.maxRetryDelay
+                    ? `Failed to ${description}: rate limited, Figma asks to retry after ${Math.ceil(retryAfter / 1000)}s`
+                    : `Failed to ${description}: rate limited after ${attempt} retries`, {
+                    ...options,
+                    retryAfter
+                });
+            default:
+                return new FigmaApiError(`Failed to ${description}: ${reason}`, options);
+        }
     }
 
-    const data = await response.json();
-    const imageUrl = data.images[nodeId];
+    fileStamp(fileId) {
+        if (!this.fileStamps.has(fileId)) {
+            this.fileStamps.set(fileId, this.getFileMeta(fileId)
+                .then(meta => `${meta.version}-${meta.lastModified}`)
+                // Without a version the response can't be keyed, so it isn't cached
+                .catch(() => null));
+        }
+        return this.fileStamps.get(fileId);
+    }
+
+    // Serve a response from the on-disk cache while the file is unchanged. A
+    // pinned `version` never changes, so it is its own cache key.
+    async cached(fileId, key, fetcher, { version, maxAge } = {}) {
+        if (!this.cache.enabled) return fetcher();
+
+        const stamp = version ? `version-${version}` : await this.fileStamp(fileId);
+        if (!stamp) return fetcher();
 
-    if (!imageUrl) {
-        throw new Error(`No image URL found for node: ${nodeId}`);
+        if (!this.cache.refresh) {
+            const hit = await readCache(this.cache.dir, fileId, stamp, key, { maxAge });
+            if (hit !== undefined) return hit;
+        }
+
+        const data = await fetcher();
+        await writeCache(this.cache.dir, fileId, stamp, key, data);
+        return data;
     }
 
-    // Return the URL - the consumer can decide whether to download it or use the URL directly
-    return {
-        url: imageUrl,
-        ref: nodeId
-    };
-}
+    async getFile(fileId, { version } = {}) {
+        const id = cleanFileId(fileId);
+        const query = version ? `?version=${encodeURIComponent(version)}` : '';
+        return this.cached(id, 'file', () => this.request(`/v1/files/${id}${query}`, 'fetch Figma file'), { version });
+    }
+
+    // File name, version and lastModified without the node tree; cheap enough to poll
+    async getFileMeta(fileId) {
+        const { name, version, lastModified } = await this.request(
+            `/v1/files/${cleanFileId(fileId)}?depth=1`,
+            'fetch Figma file metadata'
+        );
+        return { name, version, lastModified };
+    }
+
+    async getNodes(fileId, nodeIds) {
+        const id = cleanFileId(fileId);
+        const nodeIdsParam = nodeIds.map(nodeId => encodeURIComponent(nodeId)).join(',');
+        return this.cached(id, `nodes-${[...nodeIds].sort().join(',')}`, () =>
+            this.request(`/v1/files/${id}/nodes?ids=${nodeIdsParam}`, 'get nodes'));
+    }
 
-// Add a new function to get node images
-export async function getFigmaNodeImages(fileId, nodeIds) {
-    const cleanFileId = fileId.replace('design/', '');
-    const nodeIdsParam = nodeIds.join(',');
-    
-    const response = await fetch(`https://api.figma.com/v1/files/${cleanFileId}/nodes?ids=${nodeIdsParam}`, {
-        headers: {
-            'X-Figma-Token': process.env.FIGMA_ACCESS_TOKEN
+    // Rendered image URL for a node; the consumer can download it or use the URL directly
+    async getImage(fileId, nodeId) {
+        const id = cleanFileId(fileId);
+        return this.cached(id, `image-${nodeId}`, async () => {
+            const data = await this.request(`/v1/images/${id}?ids=${encodeURIComponent(nodeId)}`, 'get image URL');
+            const imageUrl = data.images?.[nodeId];
+            if (!imageUrl) {
+                throw new FigmaApiError(`No image URL found for node: ${nodeId}`, { path: `/v1/images/${id}` });
+            }
+            return {
+                url: imageUrl,
+                ref: nodeId
+            };
+        }, { maxAge: IMAGE_URL_MAX_AGE });
+    }
+
+    // Render URLs for many nodes, batched to keep each request URL short. Nodes
+    // Figma could not render map to null.
+    async getImages(fileId, nodeIds, { format = 'png', scale = 1 } = {}) {
+        const id = cleanFileId(fileId);
+        const images = {};
+
+        for (let i = 0; i < nodeIds.length; i += IMAGE_BATCH_SIZE) {
+            const batch = nodeIds.slice(i, i + IMAGE_BATCH_SIZE);
+            const key = `images-${format}@${scale}-${[...batch].sort().join(',')}`;
+            const data = await this.cached(id, key, () => this.request(
+                `/v1/images/${id}?ids=${batch.map(nodeId => encodeURIComponent(nodeId)).join(',')}&format=${format}&scale=${scale}`,
+                'get image URLs'
+            ), { maxAge: IMAGE_URL_MAX_AGE });
+            if (data.err) {
+                throw new FigmaApiError(`Failed to get image URLs: ${data.err}`, { path: `/v1/images/${id}` });
+            }
+            batch.forEach(nodeId => {
+                images[nodeId] = data.images?.[nodeId] || null;
+            });
         }
-    });
 
-    if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(`Failed to get nodes: ${response.statusText}${errorData.err ? ` - ${errorData.err}` : ''}`);
+        return images;
+    }
+
+    // Download URLs of the original bitmaps behind image fills, keyed by imageRef
+    async getImageFills(fileId) {
+        const id = cleanFileId(fileId);
+        return this.cached(id, 'image-fills', async () => {
+            const data = await this.request(`/v1/files/${id}/images`, 'get image fills');
+            return data.meta?.images || {};
+        }, { maxAge: IMAGE_FILL_URL_MAX_AGE });
+    }
+
+    async getStyles(fileId) {
+        const id = cleanFileId(fileId);
+        return this.cached(id, 'styles', async () => {
+            const data = await this.request(`/v1/files/${id}/styles`, 'get styles');
+            return data.meta?.styles || [];
+        });
+    }
+
+    async getLocalVariables(fileId) {
+        const id = cleanFileId(fileId);
+        return this.cached(id, 'variables', () => this.request(`/v1/files/${id}/variables/local`, 'get variables'));
     }
 
-    const data = await response.json();
-    return data;
-} 
\ No newline at end of file
+    // Version history, newest first
+    async getVersions(fileId) {
+        const data = await this.request(`/v1/files/${cleanFileId(fileId)}/versions`, 'get versions');
+        return data.versions || [];
+    }
+}
+
+let defaultClient = null;
+
+// Replace the shared client, e.g. once per run with the CLI's cache flags
+export function configureFigmaClient(options) {
+    defaultClient = new FigmaClient(options);
+    return defaultClient;
+}
+
+export function getFigmaClient() {
+    if (!defaultClient) {
+        defaultClient = new FigmaClient();
+    }
+    return defaultClient;
+}
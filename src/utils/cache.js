@@ -0,0 +1,48 @@
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { createHash } from 'crypto';
+
+// $FIG4AI_CACHE_DIR, else $XDG_CACHE_HOME/fig4ai or ~/.cache/fig4ai
+export function defaultCacheDir() {
+    if (process.env.FIG4AI_CACHE_DIR) return process.env.FIG4AI_CACHE_DIR;
+    return join(process.env.XDG_CACHE_HOME || join(os.homedir(), '.cache'), 'fig4ai');
+}
+
+function safeSegment(value) {
+    return String(value).replace(/[^a-zA-Z0-9._-]/g, '_');
+}
+
+// Entries live under <dir>/<fileId>/<stamp>/<key>.json; long keys (node ID lists) are hashed
+function entryPath(dir, fileId, stamp, key) {
+    const name = key.length > 64 ? createHash('sha1').update(key).digest('hex') : safeSegment(key);
+    return join(dir, safeSegment(fileId), safeSegment(stamp), `${name}.json`);
+}
+
+// `maxAge` (ms) expires entries that hold short-lived data such as signed URLs
+export async function readCache(dir, fileId, stamp, key, { maxAge } = {}) {
+    const filePath = entryPath(dir, fileId, stamp, key);
+    try {
+        if (maxAge) {
+            const { mtimeMs } = await fs.promises.stat(filePath);
+            if (Date.now() - mtimeMs > maxAge) return undefined;
+        }
+        return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch {
+        // Missing or unreadable entries are plain misses
+        return undefined;
+    }
+}
+
+export async function writeCache(dir, fileId, stamp, key, data) {
+    const filePath = entryPath(dir, fileId, stamp, key);
+    try {
+        await fs.promises.mkdir(join(filePath, '..'), { recursive: true });
+        // Write then rename so an interrupted run never leaves a truncated entry
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(data));
+        await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+        console.warn(`Warning: Failed to write cache entry ${filePath}: ${error.message}`);
+    }
+}
@@ -1,7 +1,125 @@
+function toHex(n) {
+    const hex = n.toString(16);
+    return hex.length === 1 ? '0' + hex : hex;
+}
+
 export function rgbToHex(r, g, b) {
-    const toHex = (n) => {
-        const hex = n.toString(16);
-        return hex.length === 1 ? '0' + hex : hex;
-    };
     return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
-} 
\ No newline at end of file
+}
+
+// Figma colors use 0-1 channels; alpha is appended only when not fully opaque
+export function figmaColorToHex(color) {
+    const hex = rgbToHex(
+        Math.round(color.r * 255),
+        Math.round(color.g * 255),
+        Math.round(color.b * 255)
+    );
+    const alpha = color.a ?? 1;
+    return alpha >= 1 ? hex : hex + toHex(Math.round(alpha * 255));
+}
+
+export function figmaColorToRgba(color, opacity = 1) {
+    const r = Math.round(color.r * 255);
+    const g = Math.round(color.g * 255);
+    const b = Math.round(color.b * 255);
+    const a = Math.round((color.a ?? 1) * opacity * 1000) / 1000;
+    return a >= 1 ? `rgb(${r}, ${g}, ${b})` : `rgba(${r}, ${g}, ${b}, ${a})`;
+}
+
+// sRGB (0-255) to CIE L*a*b* under D65
+export function rgbToLab({ r, g, b }) {
+    const linear = c => {
+        const v = c / 255;
+        return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    };
+    const [lr, lg, lb] = [linear(r), linear(g), linear(b)];
+
+    const x = (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / 0.95047;
+    const y = (lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750) / 1.0;
+    const z = (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) / 1.08883;
+
+    const f = t => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+    const [fx, fy, fz] = [f(x), f(y), f(z)];
+
+    return {
+        l: 116 * fy - 16,
+        a: 500 * (fx - fy),
+        b: 200 * (fy - fz)
+    };
+}
+
+// CIEDE2000 color difference between two CIE L*a*b* colors (Sharma et al., 2005)
+export function labDeltaE2000(lab1, lab2) {
+    const rad = deg => deg * Math.PI / 180;
+    const deg = radians => radians * 180 / Math.PI;
+
+    const c1 = Math.hypot(lab1.a, lab1.b);
+    const c2 = Math.hypot(lab2.a, lab2.b);
+    const cMean = (c1 + c2) / 2;
+    const g = 0.5 * (1 - Math.sqrt(Math.pow(cMean, 7) / (Math.pow(cMean, 7) + Math.pow(25, 7))));
+
+    const a1 = lab1.a * (1 + g);
+    const a2 = lab2.a * (1 + g);
+    const c1p = Math.hypot(a1, lab1.b);
+    const c2p = Math.hypot(a2, lab2.b);
+    const h1p = (deg(Math.atan2(lab1.b, a1)) + 360) % 360;
+    const h2p = (deg(Math.atan2(lab2.b, a2)) + 360) % 360;
+
+    const dL = lab2.l - lab1.l;
+    const dC = c2p - c1p;
+    let dh = 0;
+    if (c1p * c2p !== 0) {
+        dh = h2p - h1p;
+        if (dh > 180) dh -= 360;
+        else if (dh < -180) dh += 360;
+    }
+    const dH = 2 * Math.sqrt(c1p * c2p) * Math.sin(rad(dh / 2));
+
+    const lMean = (lab1.l + lab2.l) / 2;
+    const cpMean = (c1p + c2p) / 2;
+    let hMean = h1p + h2p;
+    if (c1p * c2p !== 0) {
+        if (Math.abs(h1p - h2p) <= 180) hMean /= 2;
+        else hMean = h1p + h2p < 360 ? (hMean + 360) / 2 : (hMean - 360) / 2;
+    }
+
+    const t = 1
+        - 0.17 * Math.cos(rad(hMean - 30))
+        + 0.24 * Math.cos(rad(2 * hMean))
+        + 0.32 * Math.cos(rad(3 * hMean + 6))
+        - 0.20 * Math.cos(rad(4 * hMean - 63));
+    const dTheta = 30 * Math.exp(-Math.pow((hMean - 275) / 25, 2));
+    const rc = 2 * Math.sqrt(Math.pow(cpMean, 7) / (Math.pow(cpMean, 7) + Math.pow(25, 7)));
+    const sl = 1 + (0.015 * Math.pow(lMean - 50, 2)) / Math.sqrt(20 + Math.pow(lMean - 50, 2));
+    const sc = 1 + 0.045 * cpMean;
+    const sh = 1 + 0.015 * cpMean * t;
+    const rt = -Math.sin(rad(2 * dTheta)) * rc;
+
+    return Math.sqrt(
+        Math.pow(dL / sl, 2) +
+        Math.pow(dC / sc, 2) +
+        Math.pow(dH / sh, 2) +
+        rt * (dC / sc) * (dH / sh)
+    );
+}
+
+// CIEDE2000 color difference between two sRGB (0-255) colors; < 1 is imperceptible
+export function deltaE2000(rgb1, rgb2) {
+    return labDeltaE2000(rgbToLab(rgb1), rgbToLab(rgb2));
+}
+
+// WCAG 2.x relative luminance of an sRGB (0-255) color
+export function relativeLuminance({ r, g, b }) {
+    const channel = c => {
+        const v = c / 255;
+        return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+}
+
+// WCAG 2.x contrast ratio, from 1 to 21
+export function contrastRatio(rgb1, rgb2) {
+    const l1 = relativeLuminance(rgb1);
+    const l2 = relativeLuminance(rgb2);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
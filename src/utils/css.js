@@ -0,0 +1,74 @@
+import { figmaColorToRgba } from './color.js';
+
+// Quoted CSS string; newlines become the \A escape
+export function cssString(value) {
+    return `"${String(value).replace(/["\\]/g, '\\$&').replace(/\n/g, '\\A ')}"`;
+}
+
+export function px(value) {
+    return `${Math.round((value || 0) * 100) / 100}px`;
+}
+
+// DROP_SHADOW / INNER_SHADOW effect to a single box-shadow layer
+export function shadowToCss(effect) {
+    const parts = [
+        px(effect.offset?.x),
+        px(effect.offset?.y),
+        px(effect.radius),
+        px(effect.spread),
+        figmaColorToRgba(effect.color || { r: 0, g: 0, b: 0, a: 1 })
+    ];
+    return (effect.type === 'INNER_SHADOW' ? 'inset ' : '') + parts.join(' ');
+}
+
+// LAYER_BLUR maps to `filter`, BACKGROUND_BLUR to `backdrop-filter`
+export function blurToCss(effect) {
+    return {
+        property: effect.type === 'BACKGROUND_BLUR' ? 'backdrop-filter' : 'filter',
+        value: `blur(${px(effect.radius)})`
+    };
+}
+
+function gradientStops(paint) {
+    return (paint.gradientStops || [])
+        .map(stop => `${figmaColorToRgba(stop.color, paint.opacity ?? 1)} ${Math.round(stop.position * 10000) / 100}%`)
+        .join(', ');
+}
+
+function percent(value) {
+    return `${Math.round(value * 10000) / 100}%`;
+}
+
+// Figma gradient paint to a CSS gradient. Handle positions are relative to the
+// node box; DIAMOND has no CSS equivalent and is approximated as radial.
+export function gradientToCss(paint) {
+    const [start = { x: 0.5, y: 0 }, end = { x: 0.5, y: 1 }] = paint.gradientHandlePositions || [];
+    const stops = gradientStops(paint);
+
+    switch (paint.type) {
+        case 'GRADIENT_LINEAR': {
+            // CSS angles start at "to top" and run clockwise; y grows downwards
+            const angle = Math.atan2(end.x - start.x, start.y - end.y) * 180 / Math.PI;
+            return `linear-gradient(${Math.round((angle + 360) % 360)}deg, ${stops})`;
+        }
+        case 'GRADIENT_RADIAL':
+        case 'GRADIENT_DIAMOND':
+            return `radial-gradient(ellipse at ${percent(start.x)} ${percent(start.y)}, ${stops})`;
+        case 'GRADIENT_ANGULAR': {
+            const angle = Math.atan2(end.x - start.x, start.y - end.y) * 180 / Math.PI;
+            return `conic-gradient(from ${Math.round((angle + 360) % 360)}deg at ${percent(start.x)} ${percent(start.y)}, ${stops})`;
+        }
+        default:
+            return null;
+    }
+}
+
+// Uniform radius as "8px", per-corner radii as "8px 8px 0px 0px" (top-left first)
+export function radiusToCss(radius) {
+    return Array.isArray(radius) ? radius.map(px).join(' ') : px(radius);
+}
+
+export function borderToCss(border) {
+    const style = border.dashPattern?.length > 0 ? 'dashed' : 'solid';
+    return `${px(border.weight)} ${style} ${border.color}`;
+}
@@ -0,0 +1,197 @@
+import Anthropic from '@anthropic-ai/sdk';
+import OpenAI from 'openai';
+
+// Every provider implements callTool({ prompt, tool }), where `tool` is
+// { name, description, input_schema }, and resolves to the input the model
+// produced for that tool
+
+export class AnthropicProvider {
+    constructor({ apiKey, baseUrl, model }) {
+        this.model = model;
+        this.client = new Anthropic({
+            apiKey,
+            ...(baseUrl && { baseURL: baseUrl })
+        });
+    }
+
+    async callTool({ prompt, tool }) {
+        try {
+            const response = await this.client.messages.create({
+                model: this.model,
+                max_tokens: 4096,
+                temperature: 0.7,
+                messages: [{ role: 'user', content: prompt }],
+                tools: [tool],
+                tool_choice: { type: 'tool', name: tool.name }
+            });
+
+            const toolUse = response.content.find(block => block.type === 'tool_use');
+            if (!toolUse) {
+                throw new Error('No tool_use block found in response');
+            }
+            return toolUse.input;
+        } catch (error) {
+            throw providerError('Anthropic', error);
+        }
+    }
+}
+
+// OpenAI and any server speaking its chat completions API (Ollama, llama.cpp,
+// vLLM, LM Studio)
+export class OpenAIProvider {
+    constructor({ apiKey, baseUrl, model, label = 'OpenAI' }) {
+        this.model = model;
+        this.label = label;
+        this.client = new OpenAI({
+            // The SDK refuses to start without a key; local servers ignore it
+            apiKey: apiKey || 'not-needed',
+            ...(baseUrl && { baseURL: baseUrl })
+        });
+    }
+
+    async callTool({ prompt, tool }) {
+        try {
+            const completion = await this.client.chat.completions.create({
+                model: this.model,
+                messages: [{ role: 'user', content: prompt }],
+                tools: [{
+                    type: 'function',
+                    function: {
+                        name: tool.name,
+                        description: tool.description,
+                        parameters: tool.input_schema
+                    }
+                }],
+                tool_choice: { type: 'function', function: { name: tool.name } }
+            });
+
+            const message = completion.choices?.[0]?.message;
+            const call = message?.tool_calls?.find(toolCall => toolCall.function?.name === tool.name)
+                || message?.tool_calls?.[0];
+            if (call) return JSON.parse(call.function.arguments);
+            if (message?.function_call) return JSON.parse(message.function_call.arguments);
+
+            // Models without tool support often answer with the JSON as text
+            const json = parseJsonContent(message?.content);
+            if (json) return json;
+            throw new Error(`No ${tool.name} tool call found in response`);
+        } catch (error) {
+            throw providerError(this.label, error);
+        }
+    }
+}
+
+function parseJsonContent(content) {
+    if (typeof content !== 'string') return null;
+    const start = content.indexOf('{');
+    const end = content.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+    try {
+        return JSON.parse(content.slice(start, end + 1));
+    } catch {
+        return null;
+    }
+}
+
+function providerError(label, error) {
+    if (error.status === 429) {
+        return new Error('Rate limit exceeded. Please try again in a few seconds.');
+    } else if (error.status === 413) {
+        return new Error('Input too long. Try reducing the content length.');
+    } else if (error.status === 400 && error.message.includes('token')) {
+        return new Error('Token limit exceeded. Try reducing the input size or splitting the request.');
+    } else if (error.status === 401) {
+        return new Error('Invalid API key or authentication error.');
+    }
+    return new Error(`${label} API error: ${error.message}`);
+}
+
+const providers = new Map();
+
+const aliases = {
+    claude: 'anthropic',
+    gpt4: 'openai',
+    local: 'openai-compatible'
+};
+
+// `apiKeyEnv` and `baseUrlEnv` name the environment variables read for the
+// provider; `requiresApiKey` / `requiresBaseUrl` decide whether AI is usable
+export function registerProvider(name, definition) {
+    providers.set(name, {
+        requiresApiKey: true,
+        requiresBaseUrl: false,
+        defaultBaseUrl: null,
+        defaultModel: null,
+        ...definition,
+        name
+    });
+}
+
+registerProvider('anthropic', {
+    create: config => new AnthropicProvider(config),
+    defaultModel: 'claude-3-5-sonnet-20241022',
+    apiKeyEnv: 'CLAUDE_API_KEY',
+    baseUrlEnv: 'ANTHROPIC_BASE_URL'
+});
+
+registerProvider('openai', {
+    create: config => new OpenAIProvider(config),
+    defaultModel: 'gpt-4',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    baseUrlEnv: 'OPENAI_BASE_URL'
+});
+
+registerProvider('ollama', {
+    create: config => new OpenAIProvider({ ...config, label: 'Ollama' }),
+    defaultModel: 'llama3.1',
+    defaultBaseUrl: 'http://localhost:11434/v1',
+    requiresApiKey: false,
+    apiKeyEnv: 'LLM_API_KEY',
+    baseUrlEnv: 'OLLAMA_BASE_URL'
+});
+
+registerProvider('openai-compatible', {
+    create: config => new OpenAIProvider({ ...config, label: 'OpenAI-compatible' }),
+    requiresApiKey: false,
+    requiresBaseUrl: true,
+    apiKeyEnv: 'LLM_API_KEY',
+    baseUrlEnv: 'LLM_BASE_URL'
+});
+
+export function providerNames() {
+    return [...providers.keys(), ...Object.keys(aliases)];
+}
+
+// Resolves a --model value, either a provider ("claude", "ollama") or
+// provider:model ("openai:gpt-4o", "ollama:llama3.1:8b"). The base URL comes
+// from --base-url or the provider's environment variable, the API key from the
+// environment only.
+// `missing` lists what still has to be configured before AI can be used.
+export function resolveLLMConfig(spec = 'claude', { baseUrl, env = process.env } = {}) {
+    const separator = spec.indexOf(':');
+    const providerArg = (separator === -1 ? spec : spec.slice(0, separator)).toLowerCase();
+    const modelArg = separator === -1 ? '' : spec.slice(separator + 1);
+    const name = aliases[providerArg] || providerArg;
+    const definition = providers.get(name);
+    if (!definition) {
+        throw new Error(`Unknown AI provider "${providerArg}". Available: ${providerNames().join(', ')}`);
+    }
+
+    const config = {
+        provider: name,
+        model: modelArg || definition.defaultModel,
+        baseUrl: baseUrl || env[definition.baseUrlEnv] || definition.defaultBaseUrl,
+        apiKey: env[definition.apiKeyEnv] || null
+    };
+
+    const missing = [];
+    if (!config.model) missing.push(`a model name (--model=${name}:<model>)`);
+    if (definition.requiresApiKey && !config.apiKey) missing.push(definition.apiKeyEnv);
+    if (definition.requiresBaseUrl && !config.baseUrl) missing.push(`a base URL (--base-url or ${definition.baseUrlEnv})`);
+
+    return { ...config, missing };
+}
+
+export function createProvider(config) {
+    return providers.get(config.provider).create(config);
+}
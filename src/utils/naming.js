@@ -0,0 +1,45 @@
+// Lowercase, dash-separated name safe for CSS identifiers, config keys and file names
+export function slugify(name) {
+    return String(name)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'unnamed';
+}
+
+// Last segment of a layer path like "Document/Page 1/Frame/Layer"
+export function layerName(path) {
+    const segments = String(path).split('/');
+    return segments[segments.length - 1];
+}
+
+// Slug for a layer inside a token category, without repeating the category name
+export function categoryKey(path, category) {
+    const slug = slugify(layerName(path));
+    if (slug === category) return 'DEFAULT';
+    return slug.startsWith(`${category}-`) ? slug.slice(category.length + 1) : slug;
+}
+
+// Return `name`, or `name-2`, `name-3`... if it is already a key of `taken`
+export function uniqueKey(taken, name) {
+    let key = name;
+    let index = 2;
+    while (Object.prototype.hasOwnProperty.call(taken, key)) {
+        key = `${name}-${index++}`;
+    }
+    return key;
+}
+
+// camelCase identifier, e.g. "Show Icon" -> "showIcon"; prefixed with _ if it would start with a digit
+export function camelCase(name) {
+    const identifier = slugify(name).replace(/-([a-z0-9])/g, (_, char) => char.toUpperCase());
+    return /^[0-9]/.test(identifier) ? `_${identifier}` : identifier;
+}
+
+// PascalCase identifier, e.g. "icon button" -> "IconButton"
+export function pascalCase(name) {
+    const identifier = camelCase(name);
+    return identifier.startsWith('_') ? identifier : identifier[0].toUpperCase() + identifier.slice(1);
+}
@@ -0,0 +1,44 @@
+import fs from 'fs';
+
+export async function readFigmaSnapshot(filePath) {
+    let raw;
+    try {
+        raw = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Failed to read Figma JSON from ${filePath}: ${error.message}`);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+    }
+
+    // Must look like a /v1/files/:id response
+    if (!data || !data.document || !Array.isArray(data.document.children)) {
+        throw new Error(`${filePath} is not a Figma file export (missing document tree)`);
+    }
+
+    return data;
+}
+
+// A saved /v1/files/:id/variables/local response
+export async function readVariablesSnapshot(filePath) {
+    let data;
+    try {
+        data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to read Figma variables from ${filePath}: ${error.message}`);
+    }
+
+    if (!data?.meta?.variables || !data?.meta?.variableCollections) {
+        throw new Error(`${filePath} is not a Figma variables response (missing meta.variables)`);
+    }
+
+    return data;
+}
+
+export async function writeFigmaSnapshot(filePath, data) {
+    await fs.promises.writeFile(filePath, JSON.stringify(data, null, 2));
+}
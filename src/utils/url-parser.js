@@ -1,3 +1,9 @@
+// URLs encode node IDs as "1-23"; the API expects "1:23"
+export function normalizeNodeId(nodeId) {
+    if (!nodeId) return null;
+    return decodeURIComponent(nodeId).trim().replace(/-/g, ':');
+}
+
 export function parseFigmaUrl(url) {
     try {
         // Handle URLs without protocol
@@ -10,7 +16,7 @@ export function parseFigmaUrl(url) {
 
         const pathParts = urlObj.pathname.split('/').filter(Boolean);
         const fileId = pathParts[1];
-        const nodeId = urlObj.searchParams.get('node-id');
+        const nodeId = normalizeNodeId(urlObj.searchParams.get('node-id'));
         
         // Extract additional parameters
         const page = urlObj.searchParams.get('p');
@@ -31,4 +37,10 @@ export function parseFigmaUrl(url) {
     } catch (error) {
         throw new Error('Invalid URL format');
     }
-} 
\ No newline at end of file
+}
+
+// Deep link that opens the file with the node selected
+export function figmaNodeUrl(fileId, nodeId) {
+    if (!fileId || !nodeId) return null;
+    return `https://www.figma.com/design/${fileId}?node-id=${encodeURIComponent(nodeId.replace(/:/g, '-'))}`;
+}
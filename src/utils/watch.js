@@ -0,0 +1,49 @@
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll a file's lastModified through `client` (a FigmaClient) and call
+// `onChange(meta)` whenever it moves. Quiet polls back off by 1.5× and failed
+// checks or runs by 2×, up to `maxDelay`; a successful run resets the delay to
+// `interval`. `onChange` resolves to false when the run failed. `onWait(delay)`
+// is called before every sleep and `onError(error)` for failed checks. Polling
+// stops once `signal` is aborted.
+export async function watchFile({
+    client,
+    fileId,
+    lastModified,
+    interval,
+    maxDelay = interval * 8,
+    onChange,
+    onWait = () => {},
+    onError = () => {},
+    signal
+}) {
+    let delay = interval;
+
+    while (!signal?.aborted) {
+        onWait(delay);
+        await sleep(delay);
+        if (signal?.aborted) break;
+
+        let meta;
+        try {
+            meta = await client.getFileMeta(fileId);
+        } catch (error) {
+            onError(error);
+            delay = Math.min(delay * 2, maxDelay);
+            continue;
+        }
+
+        if (meta.lastModified === lastModified) {
+            delay = Math.min(Math.round(delay * 1.5), maxDelay);
+            continue;
+        }
+
+        if (await onChange(meta) === false) {
+            delay = Math.min(delay * 2, maxDelay);
+            continue;
+        }
+
+        lastModified = meta.lastModified;
+        delay = interval;
+    }
+}
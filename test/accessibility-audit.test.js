@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { auditAccessibility } from '../src/processors/accessibility-audit.js';
+
+const gray = value => ({ r: value / 255, g: value / 255, b: value / 255, a: 1 });
+const solid = color => [{ type: 'SOLID', color }];
+
+function text(id, color, style = { fontSize: 16, fontWeight: 400 }) {
+    return { id, name: 'Label', type: 'TEXT', characters: 'Buy now', fills: solid(color), style };
+}
+
+// A page of frames, each painting its own background behind the given layers
+function page(...frames) {
+    return {
+        id: '0:0',
+        name: 'Document',
+        type: 'DOCUMENT',
+        children: [{
+            id: '0:1',
+            name: 'Page 1',
+            type: 'CANVAS',
+            backgroundColor: gray(255),
+            children: frames.map(([id, frame, children]) => ({ id, name: 'Card', type: 'FRAME', fills: [], ...frame, children }))
+        }]
+    };
+}
+
+const white = { fills: solid(gray(255)) };
+
+test('checks normal text against 4.5:1 at AA', () => {
+    const report = auditAccessibility(page(
+        ['1:1', white, [text('1:2', gray(0x76))]],
+        ['2:1', white, [text('2:2', gray(0x77))]]
+    ));
+
+    assert.deepEqual(report.contrast.map(issue => issue.id), ['2:2']);
+    assert.equal(report.contrast[0].ratio, 4.47);
+    assert.equal(report.contrast[0].required, 4.5);
+    assert.equal(report.contrast[0].background, '#ffffff');
+    assert.equal(report.contrast[0].backgroundNodeId, '2:1');
+});
+
+test('checks large text against 3:1 at AA', () => {
+    const large = { fontSize: 24, fontWeight: 400 };
+    const largeBold = { fontSize: 18.66, fontWeight: 700 };
+    const report = auditAccessibility(page(
+        ['1:1', white, [text('1:2', gray(0x94), large), text('1:3', gray(0x94), largeBold)]],
+        ['2:1', white, [text('2:2', gray(0x95), large), text('2:3', gray(0x94), { fontSize: 18.66, fontWeight: 400 })]]
+    ));
+
+    assert.deepEqual(report.contrast.map(issue => [issue.id, issue.largeText, issue.required]), [
+        ['2:2', true, 3],
+        ['2:3', false, 4.5]
+    ]);
+});
+
+test('switches to the AAA thresholds', () => {
+    const document = page(
+        ['1:1', white, [text('1:2', gray(0x59))]],
+        ['2:1', white, [text('2:2', gray(0x5a)), text('2:3', gray(0x76), { fontSize: 32, fontWeight: 700 })]]
+    );
+
+    assert.deepEqual(auditAccessibility(document).contrast, []);
+
+    const report = auditAccessibility(document, { level: 'AAA' });
+    assert.equal(report.level, 'AAA');
+    assert.deepEqual(report.contrast.map(issue => [issue.id, issue.required]), [['2:2', 7]]);
+    assert.deepEqual(report.contrast[0].passes, { AA: true, AAA: false });
+});
+
+test('composites translucent frames over what is below them', () => {
+    const report = auditAccessibility(page(
+        // Black background at 50% layer opacity shows as mid gray behind white text
+        ['1:1', { backgroundColor: gray(0), opacity: 0.5 }, [text('1:2', gray(255))]],
+        // Layer opacity fades the text with its frame: black on black at 40% is no contrast
+        ['2:1', { fills: solid(gray(0)), opacity: 0.4 }, [text('2:2', gray(0), { fontSize: 24, fontWeight: 400 })]],
+        // A translucent paint lets the page show through
+        ['3:1', { fills: [{ type: 'SOLID', color: gray(0), opacity: 0.25 }] }, [text('3:2', gray(0x76))]]
+    ));
+
+    assert.deepEqual(report.contrast.map(issue => [issue.id, issue.foreground, issue.background]), [
+        ['1:2', '#ffffff', '#808080'],
+        ['2:2', '#999999', '#999999'],
+        ['3:2', '#767676', '#bfbfbf']
+    ]);
+    assert.equal(report.contrast[1].ratio, 1);
+});
@@ -0,0 +1,122 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import {
+    FigmaClient,
+    FigmaAuthError,
+    FigmaNotFoundError,
+    FigmaRateLimitError,
+    FigmaTimeoutError
+} from '../src/utils/api.js';
+
+// Local stand-in for the Figma API: each test queues the responses it wants,
+// one per request; an entry of null leaves the request unanswered
+let server;
+let baseUrl;
+let responses = [];
+let requests = [];
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        requests.push({ url: req.url, token: req.headers['x-figma-token'] });
+        const next = responses.shift();
+        if (next === null) return;
+        const { status = 200, headers = {}, body = {} } = next || {};
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+beforeEach(() => {
+    responses = [];
+    requests = [];
+});
+
+function client(options = {}) {
+    return new FigmaClient({ token: 'test-token', baseUrl, retries: 2, retryDelay: 1, timeout: 200, ...options });
+}
+
+test('sends the token and returns the parsed body', async () => {
+    responses.push({ body: { name: 'Design', version: '1', lastModified: 'now' } });
+    const meta = await client().getFileMeta('abc');
+
+    assert.deepEqual(meta, { name: 'Design', version: '1', lastModified: 'now' });
+    assert.equal(requests[0].url, '/v1/files/abc?depth=1');
+    assert.equal(requests[0].token, 'test-token');
+});
+
+test('retries 5xx responses', async () => {
+    responses.push({ status: 500 }, { status: 503 }, { body: { versions: [{ id: '2' }] } });
+    const versions = await client().getVersions('abc');
+
+    assert.deepEqual(versions, [{ id: '2' }]);
+    assert.equal(requests.length, 3);
+});
+
+test('retries a 429 after its Retry-After', async () => {
+    responses.push({ status: 429, headers: { 'Retry-After': '0' } }, { body: { versions: [] } });
+    await client().getVersions('abc');
+
+    assert.equal(requests.length, 2);
+});
+
+test('throws FigmaRateLimitError when still rate limited after every retry', async () => {
+    responses.push({ status: 429 }, { status: 429 }, { status: 429 });
+
+    await assert.rejects(client().getVersions('abc'), error => {
+        assert.ok(error instanceof FigmaRateLimitError);
+        assert.equal(error.status, 429);
+        assert.match(error.message, /after 2 retries/);
+        return true;
+    });
+    assert.equal(requests.length, 3);
+});
+
+test('fails right away when Retry-After is longer than maxRetryDelay', async () => {
+    responses.push({ status: 429, headers: { 'Retry-After': '120' } });
+
+    await assert.rejects(client({ maxRetryDelay: 1000 }).getVersions('abc'), error => {
+        assert.ok(error instanceof FigmaRateLimitError);
+        assert.equal(error.retryAfter, 120000);
+        assert.match(error.message, /retry after 120s/);
+        return true;
+    });
+    assert.equal(requests.length, 1);
+});
+
+test('does not retry 403 and reports the API message', async () => {
+    responses.push({ status: 403, body: { status: 403, err: 'Invalid token' } });
+
+    await assert.rejects(client().getVersions('abc'), error => {
+        assert.ok(error instanceof FigmaAuthError);
+        assert.equal(error.status, 403);
+        assert.match(error.message, /Invalid token/);
+        return true;
+    });
+    assert.equal(requests.length, 1);
+});
+
+test('does not retry 404', async () => {
+    responses.push({ status: 404, body: { status: 404, err: 'Not found' } });
+
+    await assert.rejects(client().getVersions('missing'), FigmaNotFoundError);
+    assert.equal(requests.length, 1);
+});
+
+test('times out unanswered requests and retries them', async () => {
+    responses.push(null, null, null);
+
+    await assert.rejects(client({ timeout: 50 }).getVersions('abc'), error => {
+        assert.ok(error instanceof FigmaTimeoutError);
+        assert.equal(error.path, '/v1/files/abc/versions');
+        return true;
+    });
+    assert.equal(requests.length, 3);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rgbToLab, labDeltaE2000, deltaE2000 } from '../src/utils/color.js';
+
+const lab = (l, a, b) => ({ l, a, b });
+
+// Test data from Sharma, Wu & Dalal, "The CIEDE2000 Color-Difference Formula:
+// Implementation Notes, Supplementary Test Data, and Mathematical Observations"
+// (2005), table 1; numbered as in the paper
+const SHARMA_PAIRS = [
+    [1, lab(50, 2.6772, -79.7751), lab(50, 0, -82.7485), 2.0425],
+    [7, lab(50, 0, 0), lab(50, -1, 2), 2.3669],
+    [8, lab(50, -1, 2), lab(50, 0, 0), 2.3669],
+    [12, lab(50, 2.5, 0), lab(50, 0, -2.5), 4.3065],
+    [17, lab(50, 2.5, 0), lab(73, 25, -18), 27.1492],
+    [19, lab(50, 2.5, 0), lab(56, -27, -3), 31.9030],
+    [25, lab(60.2574, -34.0099, 36.2677), lab(60.4626, -34.1751, 39.4387), 1.2644],
+    [34, lab(22.7233, 20.0904, -46.6940), lab(23.0331, 14.9730, -42.5619), 2.0373]
+];
+
+SHARMA_PAIRS.forEach(([pair, lab1, lab2, expected]) => {
+    test(`matches Sharma et al. reference pair ${pair}`, () => {
+        assert.equal(Math.round(labDeltaE2000(lab1, lab2) * 1e4) / 1e4, expected);
+        assert.equal(Math.round(labDeltaE2000(lab2, lab1) * 1e4) / 1e4, expected, 'symmetric');
+    });
+});
+
+test('converts sRGB to L*a*b* under D65', () => {
+    const white = rgbToLab({ r: 255, g: 255, b: 255 });
+    assert.ok(Math.abs(white.l - 100) < 1e-3 && Math.abs(white.a) < 1e-3 && Math.abs(white.b) < 1e-3);
+
+    const red = rgbToLab({ r: 255, g: 0, b: 0 });
+    assert.deepEqual([red.l, red.a, red.b].map(value => Math.round(value * 100) / 100), [53.24, 80.09, 67.2]);
+});
+
+test('is zero for identical colors and small for near-identical ones', () => {
+    assert.equal(deltaE2000({ r: 51, g: 102, b: 230 }, { r: 51, g: 102, b: 230 }), 0);
+    assert.ok(deltaE2000({ r: 51, g: 102, b: 230 }, { r: 52, g: 102, b: 230 }) < 1);
+    assert.ok(deltaE2000({ r: 51, g: 102, b: 230 }, { r: 230, g: 102, b: 51 }) > 40);
+});
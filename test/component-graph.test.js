@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { processDesignTokens } from '../src/processors/token-processor.js';
+import { processComponentInstances } from '../src/processors/canvas-processor.js';
+import { buildComponentGraph, formatComponentGraphDot } from '../src/processors/component-graph.js';
+
+const instance = (id, componentId) => ({ id, name: 'Instance', type: 'INSTANCE', componentId, children: [] });
+const component = (id, name, children = []) => ({ id, name, type: 'COMPONENT', children });
+
+// Build the graph from a one-page file the way the CLI does
+function graphOf(...nodes) {
+    const data = {
+        document: {
+            id: '0:0',
+            name: 'Document',
+            type: 'DOCUMENT',
+            children: [{ id: '0:1', name: 'Components', type: 'CANVAS', children: nodes }]
+        }
+    };
+    const tokens = processDesignTokens(data.document);
+    return buildComponentGraph(data, tokens.components, processComponentInstances(data.document));
+}
+
+test('orders atoms before the components that use them', () => {
+    const graph = graphOf(
+        component('3:1', 'Card', [{ id: '3:2', name: 'Footer', type: 'FRAME', children: [instance('3:3', '2:1')] }]),
+        component('2:1', 'Button', [instance('2:2', '1:1')]),
+        component('1:1', 'Icon'),
+        { id: '4:1', name: 'Screen', type: 'FRAME', children: [instance('4:2', '3:1'), instance('4:3', '3:1')] }
+    );
+
+    assert.deepEqual(graph.cycles, []);
+    assert.deepEqual(graph.buildOrder, ['1:1', '2:1', '3:1']);
+    assert.deepEqual(graph.unordered, []);
+    assert.deepEqual(graph.edges, [{ from: '3:1', to: '2:1' }, { from: '2:1', to: '1:1' }]);
+    assert.deepEqual(graph.nodes.map(node => [node.name, node.level, node.instances]), [
+        ['Card', 2, 2],
+        ['Button', 1, 0],
+        ['Icon', 0, 0]
+    ]);
+});
+
+test('reports a cycle and leaves its members unordered', () => {
+    const graph = graphOf(
+        component('1:1', 'Icon'),
+        component('2:1', 'Button', [instance('2:2', '1:1'), instance('2:3', '3:1')]),
+        component('3:1', 'Tooltip', [instance('3:2', '2:1')])
+    );
+
+    assert.deepEqual(graph.cycles, [['2:1', '3:1']]);
+    assert.deepEqual(graph.buildOrder, ['1:1']);
+    assert.deepEqual(graph.unordered, ['2:1', '3:1']);
+
+    const dot = formatComponentGraphDot(graph);
+    assert.match(dot, /"2:1" -> "3:1" \[color=red\];/);
+    assert.match(dot, /"3:1" -> "2:1" \[color=red\];/);
+    assert.match(dot, /"2:1" -> "1:1";/);
+});
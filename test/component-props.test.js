@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPropsSchema } from '../src/processors/component-props.js';
+
+test('numbers defined props that camelCase to the same name', () => {
+    const schema = buildPropsSchema({
+        type: 'COMPONENT',
+        componentPropertyDefinitions: {
+            'Show icon#1:0': { type: 'BOOLEAN', defaultValue: true },
+            'show-icon#1:1': { type: 'BOOLEAN', defaultValue: false }
+        }
+    });
+
+    assert.deepEqual(schema.props.map(prop => prop.name), ['showIcon', 'showIcon2']);
+});
+
+test('numbers legacy variant props like defined ones', () => {
+    const schema = buildPropsSchema({
+        type: 'COMPONENT_SET',
+        componentPropertyDefinitions: {
+            'Size#1:0': { type: 'TEXT', defaultValue: 'Label' }
+        },
+        children: [
+            { id: '1:1', type: 'COMPONENT', variantProperties: { Size: 'Small', 'size ': 'A' } },
+            { id: '1:2', type: 'COMPONENT', variantProperties: { Size: 'Large', 'size ': 'B' } }
+        ]
+    });
+
+    assert.deepEqual(schema.props.map(prop => [prop.name, prop.type]), [
+        ['size2', 'VARIANT'],
+        ['size3', 'VARIANT'],
+        ['size', 'TEXT']
+    ]);
+    assert.deepEqual(schema.props[0].values, ['Small', 'Large']);
+    assert.equal(schema.variants.length, 2);
+});
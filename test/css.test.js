@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cssString } from '../src/utils/css.js';
+
+test('quotes plain strings', () => {
+    assert.equal(cssString('Inter'), '"Inter"');
+});
+
+test('escapes quotes, backslashes and newlines', () => {
+    assert.equal(cssString('Say "hi"'), '"Say \\"hi\\""');
+    assert.equal(cssString('C:\\fonts'), '"C:\\\\fonts"');
+    assert.equal(cssString('one\ntwo'), '"one\\A two"');
+});
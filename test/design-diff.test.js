@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { processDesignTokens } from '../src/processors/token-processor.js';
+import { summarizeDesign, diffDesigns, formatDiffMarkdown } from '../src/processors/design-diff.js';
+
+const fill = (r, g, b) => [{ type: 'SOLID', color: { r, g, b, a: 1 } }];
+const shadow = { type: 'DROP_SHADOW', visible: true, color: { r: 0, g: 0, b: 0, a: 0.25 }, offset: { x: 0, y: 2 }, radius: 4, spread: 0 };
+
+// Summarize a one-page file the way `diff` and `watch` do
+function snapshot(version, { card, components }) {
+    const data = {
+        name: 'Design',
+        version,
+        document: {
+            id: '0:0',
+            name: 'Document',
+            type: 'DOCUMENT',
+            children: [{
+                id: '0:1',
+                name: 'Page 1',
+                type: 'CANVAS',
+                children: [
+                    { id: '1:1', name: 'Card', type: 'FRAME', absoluteBoundingBox: { width: 320, height: 200 }, children: card },
+                    ...components
+                ]
+            }]
+        }
+    };
+    return summarizeDesign(data, processDesignTokens(data.document));
+}
+
+const button = (children = []) => ({
+    id: '2:1', name: 'Button', type: 'COMPONENT', absoluteBoundingBox: { width: 120, height: 40 }, children
+});
+const buttonInstance = id => ({ id, name: 'Button', type: 'INSTANCE', componentId: '2:1', children: [] });
+
+const before = snapshot('1', {
+    card: [
+        { id: '1:2', name: 'Primary', type: 'RECTANGLE', fills: fill(0.2, 0.4, 0.9) },
+        { id: '1:3', name: 'Elevation', type: 'RECTANGLE', effects: [shadow] },
+        buttonInstance('1:10')
+    ],
+    components: [
+        button(),
+        { id: '2:2', name: 'Badge', type: 'COMPONENT', absoluteBoundingBox: { width: 24, height: 24 }, children: [] }
+    ]
+});
+
+const after = snapshot('2', {
+    card: [
+        { id: '1:2', name: 'Primary', type: 'RECTANGLE', fills: fill(0.1, 0.3, 0.8) },
+        { id: '1:4', name: 'Secondary', type: 'RECTANGLE', fills: fill(1, 0.5, 0) },
+        buttonInstance('1:10'),
+        buttonInstance('1:11')
+    ],
+    components: [
+        button([{ id: '2:3', name: 'Icon', type: 'VECTOR' }]),
+        { id: '2:4', name: 'Chip', type: 'COMPONENT', absoluteBoundingBox: { width: 64, height: 24 }, children: [] }
+    ]
+});
+
+test('reports added, removed and changed tokens', () => {
+    const { tokens } = diffDesigns(before, after);
+
+    assert.deepEqual(tokens.added.map(token => token.key), ['color/secondary/Document/Page 1/Card/Secondary']);
+    assert.equal(tokens.added[0].value, '#ff8000');
+    assert.deepEqual(tokens.removed.map(token => token.key), ['shadow/Document/Page 1/Card/Elevation']);
+    assert.deepEqual(tokens.changed, [{
+        key: 'color/primary/Document/Page 1/Card/Primary',
+        name: 'Document/Page 1/Card/Primary',
+        changes: [{ field: 'value', before: '#3366e6', after: '#1a4dcc' }]
+    }]);
+});
+
+test('reports added, removed and changed components', () => {
+    const { components } = diffDesigns(before, after);
+
+    assert.deepEqual(components.added.map(component => [component.key, component.name]), [['2:4', 'Document/Page 1/Chip']]);
+    assert.deepEqual(components.removed.map(component => [component.key, component.name]), [['2:2', 'Document/Page 1/Badge']]);
+    assert.deepEqual(components.changed, [{
+        key: '2:1',
+        name: 'Document/Page 1/Button',
+        changes: [
+            { field: 'children', before: 0, after: 1 },
+            { field: 'instances', before: 1, after: 2 }
+        ]
+    }]);
+});
+
+test('summarizes the counts and renders them as Markdown', () => {
+    const diff = diffDesigns(before, after);
+
+    assert.equal(diff.hasChanges, true);
+    assert.deepEqual(diff.summary.tokens, { added: 1, removed: 1, changed: 1 });
+    assert.deepEqual(diff.summary.components, { added: 1, removed: 1, changed: 1 });
+    assert.deepEqual(diff.from, { name: 'Design', version: '1', lastModified: null });
+
+    const markdown = formatDiffMarkdown(diff);
+    assert.match(markdown, /\| tokens \| 1 \| 1 \| 1 \|/);
+    assert.match(markdown, /- color\/primary\/Document\/Page 1\/Card\/Primary\n {2}- value: `#3366e6` → `#1a4dcc`/);
+    assert.match(markdown, /- Document\/Page 1\/Badge \(2:2\)/);
+});
+
+test('finds no changes between identical snapshots', () => {
+    const diff = diffDesigns(before, structuredClone(before));
+
+    assert.equal(diff.hasChanges, false);
+    assert.match(formatDiffMarkdown(diff), /No design changes\./);
+});
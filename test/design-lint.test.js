@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { lintDesign } from '../src/processors/design-lint.js';
+
+const cliPath = fileURLToPath(new URL('../src/index.js', import.meta.url));
+
+const solid = (r, g, b) => ({ type: 'SOLID', color: { r, g, b, a: 1 } });
+const shadow = { type: 'DROP_SHADOW', visible: true, color: { r: 0, g: 0, b: 0, a: 0.25 }, offset: { x: 0, y: 2 }, radius: 4, spread: 0 };
+
+// One frame mixing raw values with styled and variable-bound layers
+function sampleDesign(layers) {
+    return {
+        name: 'Design',
+        document: {
+            id: '0:0',
+            name: 'Document',
+            type: 'DOCUMENT',
+            children: [{
+                id: '0:1',
+                name: 'Page 1',
+                type: 'CANVAS',
+                children: [{ id: '1:1', name: 'Card', type: 'FRAME', styles: { fill: 'S:1' }, fills: [solid(1, 1, 1)], children: layers }]
+            }]
+        },
+        styles: { 'S:1': { name: 'Surface', styleType: 'FILL' } }
+    };
+}
+
+const rawLayers = [
+    { id: '1:2', name: 'Accent', type: 'RECTANGLE', fills: [solid(1, 0, 0)] },
+    { id: '1:3', name: 'Elevation', type: 'RECTANGLE', styles: { fill: 'S:1' }, fills: [solid(1, 1, 1)], effects: [shadow] },
+    {
+        id: '1:4',
+        name: 'Brand',
+        type: 'RECTANGLE',
+        fills: [{ ...solid(0.2, 0.4, 0.9), boundVariables: { color: { type: 'VARIABLE_ALIAS', id: 'V:1' } } }]
+    },
+    { id: '1:5', name: 'Hidden', type: 'RECTANGLE', visible: false, fills: [solid(0, 1, 0)] }
+];
+
+test('reports raw fills and effects by rule ID', () => {
+    const { findings, summary } = lintDesign(sampleDesign(rawLayers), { fileId: 'abc' });
+
+    assert.deepEqual(findings.map(finding => [finding.rule, finding.nodeId]), [
+        ['raw-fill', '1:2'],
+        ['raw-effect', '1:3']
+    ]);
+    assert.equal(findings[0].name, 'Document/Page 1/Card/Accent');
+    assert.equal(findings[0].details, '#ff0000');
+    assert.equal(findings[1].details, 'drop_shadow');
+    assert.match(findings[0].url, /abc.*node-id=1-2/);
+    assert.equal(summary['raw-fill'], 1);
+    assert.equal(summary['raw-effect'], 1);
+    assert.equal(summary['raw-text-style'], 0);
+});
+
+test('finds nothing when every value comes from a style or variable', () => {
+    const { findings } = lintDesign(sampleDesign(rawLayers.slice(2)));
+
+    assert.deepEqual(findings, []);
+});
+
+async function runLint(design) {
+    const dir = await mkdtemp(join(tmpdir(), 'fig4ai-'));
+    try {
+        const input = join(dir, 'design.json');
+        await writeFile(input, JSON.stringify(design));
+        return await promisify(execFile)(process.execPath, [cliPath, 'lint', `--input=${input}`], {
+            env: { ...process.env, FIG4AI_CACHE_DIR: join(dir, 'cache') }
+        }).then(({ stdout }) => ({ code: 0, stdout }), error => ({ code: error.code, stdout: error.stdout }));
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+}
+
+test('lint exits with code 1 when there are findings', async () => {
+    const { code, stdout } = await runLint(sampleDesign(rawLayers));
+
+    assert.equal(code, 1);
+    assert.match(stdout, /raw-fill \(1\)/);
+    assert.match(stdout, /raw-effect \(1\)/);
+});
+
+test('lint exits with code 0 on a clean design', async () => {
+    const { code } = await runLint(sampleDesign(rawLayers.slice(2)));
+
+    assert.equal(code, 0);
+});
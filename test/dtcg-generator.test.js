@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { readFigmaSnapshot, readVariablesSnapshot } from '../src/utils/snapshot.js';
+import { processVariables, applyVariables } from '../src/processors/variable-processor.js';
+import { processDesignTokens, applyPublishedStyles } from '../src/processors/token-processor.js';
+import { generateDTCGTokens } from '../src/generators/dtcg-generator.js';
+
+// A recorded /v1/files/:id response and the matching /variables/local response
+const designPath = fileURLToPath(new URL('./fixtures/design.json', import.meta.url));
+const variablesPath = fileURLToPath(new URL('./fixtures/variables.json', import.meta.url));
+
+async function fixtureTokens() {
+    const data = await readFigmaSnapshot(designPath);
+    const variableSet = processVariables(await readVariablesSnapshot(variablesPath));
+    return generateDTCGTokens(applyVariables(applyPublishedStyles(processDesignTokens(data.document), data.document, data.styles), variableSet));
+}
+
+function emptyTokens() {
+    return {
+        colors: { primary: [], secondary: [], text: [], background: [], other: [] },
+        typography: { headings: { h1: [], h2: [], h3: [], h4: [], h5: [], h6: [] }, body: [], other: [] },
+        spacing: [],
+        effects: { shadows: [], blurs: [], other: [] },
+        gradients: [],
+        borders: [],
+        radii: [],
+        variables: []
+    };
+}
+
+// Every `{group.token}` reference in the output, with the path it sits at
+function references(group, path = []) {
+    return Object.entries(group).flatMap(([key, value]) => {
+        if (typeof value === 'string') {
+            return [...value.matchAll(/\{([^}]+)\}/g)].map(match => ({ at: [...path, key].join('.'), ref: match[1] }));
+        }
+        return value && typeof value === 'object' ? references(value, [...path, key]) : [];
+    });
+}
+
+function resolve(output, ref) {
+    return ref.split('.').reduce((group, key) => group?.[key], output);
+}
+
+test('types style tokens and splits per-corner radii', async () => {
+    const output = await fixtureTokens();
+
+    assert.deepEqual(output.color.brand['primary-500'], { $type: 'color', $value: '#3366e6', $description: 'Main brand color' });
+    assert.equal(output.typography.heading.h1.$type, 'typography');
+    assert.deepEqual(output.typography.heading.h1.$value, {
+        fontFamily: '{font.family.inter}',
+        fontWeight: '{font.weight.700}',
+        fontSize: '40px',
+        lineHeight: 1.2,
+        letterSpacing: '0px'
+    });
+    assert.equal(output.shadow.elevation.card.$type, 'shadow');
+    assert.equal(output.gradient['page-1'].home['hero-gradient'].$type, 'gradient');
+    assert.deepEqual(output.border['page-1'].home['divider-2'].$value, { color: '#00000080', width: '1px', style: 'solid' });
+    assert.deepEqual(output.spacing['page-1'].home.gap, { $type: 'dimension', $value: '24px' });
+
+    assert.deepEqual(output.radius['page-1'].home['rectangle-1'], { $type: 'dimension', $value: '8px' });
+    assert.deepEqual(output.radius['page-1'].home['hero-gradient'], {
+        'top-left': { $type: 'dimension', $value: '8px' },
+        'top-right': { $type: 'dimension', $value: '8px' },
+        'bottom-right': { $type: 'dimension', $value: '0px' },
+        'bottom-left': { $type: 'dimension', $value: '0px' }
+    });
+});
+
+test('exports variables with their aliases and every mode', async () => {
+    const output = await fixtureTokens();
+    const primary = output.theme.color.primary;
+
+    assert.equal(primary.$type, 'color');
+    assert.equal(primary.$value, '{primitives.blue.500}');
+    assert.deepEqual(primary.$extensions['com.figma'], {
+        variableId: 'V:10',
+        modes: { Light: '{primitives.blue.500}', Dark: '#80b3ff' }
+    });
+    assert.deepEqual(output.primitives.space['4'], {
+        $type: 'dimension',
+        $value: '16px',
+        $extensions: { 'com.figma': { variableId: 'V:3', modes: { Value: '16px' } } }
+    });
+});
+
+test('aliases repeated colors to the first token with that value', () => {
+    const tokens = emptyTokens();
+    tokens.colors.primary.push({ name: 'Brand/Primary', styleId: 'S:1', color: { r: 51, g: 102, b: 230 }, opacity: 1 });
+    tokens.colors.other.push({ name: 'Document/Page 1/Link', color: { r: 51, g: 102, b: 230 }, opacity: 1 });
+    tokens.effects.shadows.push({
+        name: 'Elevation/Focus',
+        styleId: 'S:2',
+        value: { type: 'DROP_SHADOW', color: { r: 0.2, g: 0.4, b: 0.9, a: 1 }, offset: { x: 0, y: 0 }, radius: 0, spread: 2 }
+    });
+    tokens.borders.push({ name: 'Document/Page 1/Input', color: '#3366e6', weight: 1, dashPattern: [4, 2] });
+    const output = generateDTCGTokens(tokens);
+
+    assert.deepEqual(output.color.brand.primary, { $type: 'color', $value: '#3366e6' });
+    assert.deepEqual(output.color['page-1'].link, { $type: 'color', $value: '{color.brand.primary}' });
+    assert.equal(output.shadow.elevation.focus.$value.color, '{color.brand.primary}');
+    assert.deepEqual(output.border['page-1'].input.$value, { color: '{color.brand.primary}', width: '1px', style: 'dashed' });
+    assert.equal(output.radius, undefined, 'empty groups are omitted');
+});
+
+test('every alias reference points at a token', async () => {
+    const output = await fixtureTokens();
+    const refs = references(output);
+
+    assert.ok(refs.length > 0);
+    refs.forEach(({ at, ref }) => {
+        assert.notEqual(resolve(output, ref)?.$value, undefined, `${at} -> {${ref}}`);
+    });
+});
@@ -0,0 +1,112 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createProvider, resolveLLMConfig } from '../src/utils/llm-providers.js';
+
+// Local stand-in for an OpenAI-compatible server and the Anthropic messages
+// API; each test queues the assistant messages it wants returned
+let server;
+let baseUrl;
+let replies = [];
+let requests = [];
+
+const tool = {
+    name: 'create_pseudo_component',
+    description: 'Generate pseudo-XML',
+    input_schema: {
+        type: 'object',
+        properties: { pseudoCode: { type: 'string' } },
+        required: ['pseudoCode']
+    }
+};
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const json = JSON.parse(body);
+            requests.push({ url: req.url, headers: req.headers, body: json });
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            if (req.url.endsWith('/messages')) {
+                res.end(JSON.stringify({
+                    id: 'msg', type: 'message', role: 'assistant', model: json.model,
+                    content: replies.shift(), stop_reason: 'tool_use',
+                    usage: { input_tokens: 1, output_tokens: 1 }
+                }));
+            } else {
+                res.end(JSON.stringify({
+                    id: 'chat', object: 'chat.completion', created: 0, model: json.model,
+                    choices: [{ index: 0, message: replies.shift(), finish_reason: 'stop' }]
+                }));
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    replies = [];
+    requests = [];
+});
+
+test('resolves aliases, model names and base URLs', () => {
+    const env = { CLAUDE_API_KEY: 'key', LLM_BASE_URL: 'http://localhost:8080/v1' };
+
+    assert.deepEqual(resolveLLMConfig('claude', { env }), {
+        provider: 'anthropic',
+        model: 'claude-3-5-sonnet-20241022',
+        baseUrl: null,
+        apiKey: 'key',
+        missing: []
+    });
+    assert.equal(resolveLLMConfig('ollama:llama3.1:8b', { env }).model, 'llama3.1:8b');
+    assert.equal(resolveLLMConfig('local:qwen2.5', { env }).baseUrl, 'http://localhost:8080/v1');
+    assert.equal(resolveLLMConfig('local:qwen2.5', { env, baseUrl: 'http://gpu:9000/v1' }).baseUrl, 'http://gpu:9000/v1');
+    assert.deepEqual(resolveLLMConfig('gpt4', { env }).missing, ['OPENAI_API_KEY']);
+    assert.equal(resolveLLMConfig('openai-compatible', { env: {} }).missing.length, 2);
+    assert.throws(() => resolveLLMConfig('mistral', { env }), /Unknown AI provider "mistral"/);
+});
+
+test('OpenAI-compatible provider forces the tool and returns its arguments', async () => {
+    const provider = createProvider(resolveLLMConfig('local:qwen2.5', { baseUrl: `${baseUrl}/v1`, env: {} }));
+    replies.push({
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'call', type: 'function', function: { name: tool.name, arguments: '{"pseudoCode":"<Button/>"}' } }]
+    });
+
+    assert.deepEqual(await provider.callTool({ prompt: 'Hi', tool }), { pseudoCode: '<Button/>' });
+    assert.equal(requests[0].url, '/v1/chat/completions');
+    assert.equal(requests[0].body.model, 'qwen2.5');
+    assert.deepEqual(requests[0].body.tool_choice, { type: 'function', function: { name: tool.name } });
+    assert.deepEqual(requests[0].body.tools[0].function.parameters, tool.input_schema);
+});
+
+test('OpenAI-compatible provider accepts JSON answered as text', async () => {
+    const provider = createProvider(resolveLLMConfig('local:qwen2.5', { baseUrl: `${baseUrl}/v1`, env: {} }));
+    replies.push({ role: 'assistant', content: 'Sure:\n```json\n{"pseudoCode":"<Card/>"}\n```' });
+
+    assert.deepEqual(await provider.callTool({ prompt: 'Hi', tool }), { pseudoCode: '<Card/>' });
+});
+
+test('OpenAI-compatible provider fails without a tool call or JSON', async () => {
+    const provider = createProvider(resolveLLMConfig('local:qwen2.5', { baseUrl: `${baseUrl}/v1`, env: {} }));
+    replies.push({ role: 'assistant', content: 'I cannot help with that.' });
+
+    await assert.rejects(provider.callTool({ prompt: 'Hi', tool }), /OpenAI-compatible API error: No create_pseudo_component tool call/);
+});
+
+test('Anthropic provider sends the key and returns the tool input', async () => {
+    const provider = createProvider(resolveLLMConfig('claude:claude-test', { baseUrl, env: { CLAUDE_API_KEY: 'secret' } }));
+    replies.push([{ type: 'tool_use', id: 'tool', name: tool.name, input: { pseudoCode: '<Chip/>' } }]);
+
+    assert.deepEqual(await provider.callTool({ prompt: 'Hi', tool }), { pseudoCode: '<Chip/>' });
+    assert.equal(requests[0].url, '/v1/messages');
+    assert.equal(requests[0].headers['x-api-key'], 'secret');
+    assert.equal(requests[0].body.model, 'claude-test');
+    assert.deepEqual(requests[0].body.tool_choice, { type: 'tool', name: tool.name });
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generatePropsTypes } from '../src/generators/props-generator.js';
+import { renderPseudoXML } from '../src/generators/pseudo-renderer.js';
+
+const button = {
+    id: '1:1',
+    name: 'Components/Button',
+    description: 'Primary action.\nCloses the dialog */ when pressed',
+    props: {
+        props: [{ name: 'label', figmaName: 'Label */', key: 'Label */#1:0', type: 'TEXT', default: 'OK' }],
+        variants: []
+    }
+};
+
+test('escapes "*/" and keeps the prefix on every line of a doc comment', () => {
+    const ts = generatePropsTypes({ components: [button] });
+
+    assert.match(ts, /\/\*\*\n \* Primary action\.\n \* Closes the dialog \*\\\/ when pressed\n \* Figma: Components\/Button \(1:1\)\n \*\/\nexport interface ButtonProps \{/);
+    assert.match(ts, /Figma text property "Label \*\\\/"/);
+    // The only comment terminators left are the real ones
+    assert.equal(ts.match(/\*\//g).length, 2);
+});
+
+test('escapes "*/" in pseudo-XML comments', () => {
+    const xml = renderPseudoXML({ id: '2:1', name: 'Frame', type: 'FRAME', children: [] }, {
+        figmaData: { document: {} },
+        tokens: {},
+        title: 'Checkout */ flow\nstep 2'
+    });
+
+    assert.equal(xml.split('\n')[0], '{/* Checkout *\\/ flow step 2 */}');
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateTailwindTheme, generateTailwindConfig } from '../src/generators/tailwind-generator.js';
+
+function sampleTokens() {
+    return {
+        colors: {
+            primary: [
+                { name: 'Brand/Primary 500', color: { r: 51, g: 102, b: 230 }, opacity: 1 },
+                { name: 'Brand/Primary Light', color: { r: 128, g: 179, b: 255 }, opacity: 0.5 }
+            ],
+            other: [
+                { name: 'Document/Page 1/Card Background', color: { r: 255, g: 255, b: 255 }, opacity: 1 }
+            ]
+        },
+        typography: {
+            headings: {
+                h1: [{ name: 'Heading/H1', style: { fontFamily: 'Inter', fontWeight: 700, fontSize: 40, lineHeight: 48, letterSpacing: -0.5 } }]
+            },
+            body: [{ name: 'Body', style: { fontFamily: 'Inter', fontWeight: 400, fontSize: 16, lineHeight: 24, letterSpacing: 0 } }],
+            other: []
+        },
+        spacing: [{ itemSpacing: 8, padding: { top: 16, right: 16, bottom: 16, left: 16 } }],
+        effects: {
+            shadows: [
+                { id: '1:1', name: 'Elevation/Card', value: { type: 'DROP_SHADOW', color: { r: 0, g: 0, b: 0, a: 0.1 }, offset: { x: 0, y: 4 }, radius: 12, spread: 0 } },
+                { id: '1:1', name: 'Elevation/Card', value: { type: 'INNER_SHADOW', color: { r: 0, g: 0, b: 0, a: 0.2 }, offset: { x: 0, y: 1 }, radius: 2, spread: 0 } }
+            ],
+            blurs: []
+        },
+        radii: [{ value: 6 }, { value: [8, 8, 0, 0] }],
+        gradients: [{ name: 'Hero Gradient', css: 'linear-gradient(90deg, #ff0000 0%, #0000ff 100%)' }]
+    };
+}
+
+test('writes fontSize tuples with line height and letter spacing', () => {
+    const theme = generateTailwindTheme(sampleTokens());
+
+    assert.deepEqual(theme.fontSize.h1, ['40px', { lineHeight: '48px', letterSpacing: '-0.5px', fontWeight: '700' }]);
+    assert.deepEqual(theme.fontSize.body, ['16px', { lineHeight: '24px', fontWeight: '400' }]);
+    assert.deepEqual(theme.fontFamily, { inter: ['Inter'] });
+});
+
+test('slugifies color names into palettes', () => {
+    const theme = generateTailwindTheme(sampleTokens());
+
+    assert.deepEqual(theme.colors.primary, { 500: '#3366e6', light: '#80b3ff80' });
+    assert.equal(theme.colors['card-background'], '#ffffff');
+});
+
+test('joins the shadows of one node into one box-shadow', () => {
+    const theme = generateTailwindTheme(sampleTokens());
+
+    assert.deepEqual(theme.boxShadow, {
+        card: '0px 4px 12px 0px rgba(0, 0, 0, 0.1), inset 0px 1px 2px 0px rgba(0, 0, 0, 0.2)'
+    });
+});
+
+test('keys spacing and uniform radii by pixel value', () => {
+    const theme = generateTailwindTheme(sampleTokens());
+
+    assert.deepEqual(theme.spacing, { '8px': '8px', '16px': '16px' });
+    assert.deepEqual(theme.borderRadius, { '6px': '6px' });
+});
+
+test('produces byte-identical output on every run', () => {
+    assert.equal(generateTailwindConfig(sampleTokens()), generateTailwindConfig(sampleTokens()));
+});
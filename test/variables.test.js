@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { readFigmaSnapshot, readVariablesSnapshot } from '../src/utils/snapshot.js';
+import { processVariables, applyVariables, collectBoundVariables, formatVariablesMarkdown } from '../src/processors/variable-processor.js';
+import { processDesignTokens, applyPublishedStyles } from '../src/processors/token-processor.js';
+import { generateCSS } from '../src/generators/css-generator.js';
+
+// A recorded /v1/files/:id response and the matching /variables/local response
+const designPath = fileURLToPath(new URL('./fixtures/design.json', import.meta.url));
+const variablesPath = fileURLToPath(new URL('./fixtures/variables.json', import.meta.url));
+const cliPath = fileURLToPath(new URL('../src/index.js', import.meta.url));
+
+async function load() {
+    const data = await readFigmaSnapshot(designPath);
+    const variableSet = processVariables(await readVariablesSnapshot(variablesPath));
+    const tokens = applyVariables(applyPublishedStyles(processDesignTokens(data.document), data.document, data.styles), variableSet);
+    return { data, variableSet, tokens };
+}
+
+test('resolves aliases per mode and keeps the alias name', async () => {
+    const { variableSet } = await load();
+    const primary = variableSet.byId.get('V:10');
+
+    assert.deepEqual(primary.values, { Light: '#3366e6', Dark: '#80b3ff' });
+    assert.deepEqual(primary.aliases, { Light: 'Primitives/blue/500' });
+    assert.deepEqual(variableSet.byId.get('V:12').values, { Light: null, Dark: null }, 'circular aliases resolve to null');
+});
+
+test('lists every mode of a collection', async () => {
+    const { variableSet } = await load();
+    const markdown = formatVariablesMarkdown(variableSet);
+
+    assert.match(markdown, /Modes: Light, Dark \(default: Light\)/);
+    assert.match(markdown, /\| color\/primary \| COLOR \| \{Primitives\/blue\/500\} → #3366e6 \| #80b3ff \|/);
+});
+
+test('writes non-default modes as themed CSS custom properties', async () => {
+    const { tokens } = await load();
+    const css = generateCSS(tokens);
+
+    assert.match(css, /--theme-color-primary: var\(--primitives-blue-500\);/);
+    assert.match(css, /\[data-theme="dark"\] \{\n    --theme-color-primary: #80b3ff;/);
+});
+
+test('attaches boundVariables to color and spacing tokens', async () => {
+    const { data, variableSet, tokens } = await load();
+    const primary = Object.values(tokens.colors).flat().find(token => token.name === 'Brand/Primary 500');
+    const home = tokens.spacing.find(spacing => spacing.name === 'Document/Page 1/Home');
+
+    assert.equal(primary.variable, 'Theme/color/primary');
+    assert.deepEqual(home.variables, { itemSpacing: 'Primitives/space/4' });
+    assert.deepEqual(collectBoundVariables(data.document, variableSet).map(binding => [binding.nodeId, binding.property, binding.variable]), [
+        ['1:2', 'itemSpacing', 'Primitives/space/4'],
+        ['1:6', 'fills[0]', 'Theme/color/primary']
+    ]);
+});
+
+test('runs offline and shows the bound variable instead of the hex', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'fig4ai-'));
+    try {
+        const output = join(dir, 'rules.md');
+        await promisify(execFile)(process.execPath, [cliPath, `--input=${designPath}`, `--variables=${variablesPath}`, '--no-ai', `--output=${output}`], {
+            env: { ...process.env, FIG4AI_CACHE_DIR: join(dir, 'cache') }
+        });
+        const rules = await readFile(output, 'utf8');
+
+        assert.match(rules, /- Brand\/Primary 500\n  - Description: Main brand color\n  - Variable: \{Theme\/color\/primary\}\n  - RGB:/);
+        assert.match(rules, /- Text\/Default\n  - HEX: #1a1a1a\n/);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,106 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { FigmaClient } from '../src/utils/api.js';
+import { watchFile } from '../src/utils/watch.js';
+
+// Local stand-in for the Figma API answering the depth=1 metadata request:
+// each poll takes the next queued lastModified, or a status code to fail with
+let server;
+let baseUrl;
+let polls = [];
+let requests = 0;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        requests++;
+        const next = polls.shift();
+        if (typeof next === 'number') {
+            res.writeHead(next, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ status: next, err: 'Server error' }));
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ name: 'Design', version: '1', lastModified: next }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    polls = [];
+    requests = 0;
+});
+
+// Watch until `checks` polls are done; returns the waits, changes and errors seen
+async function run(checks, onChange = () => true) {
+    const controller = new AbortController();
+    const waits = [];
+    const changes = [];
+    const errors = [];
+
+    await watchFile({
+        client: new FigmaClient({ token: 'test-token', baseUrl, retries: 0 }),
+        fileId: 'abc',
+        lastModified: 't1',
+        interval: 10,
+        maxDelay: 80,
+        onWait: delay => {
+            if (waits.length === checks) controller.abort();
+            waits.push(delay);
+        },
+        onChange: meta => {
+            changes.push(meta.lastModified);
+            return onChange(meta);
+        },
+        onError: error => errors.push(error),
+        signal: controller.signal
+    });
+
+    return { waits, changes, errors };
+}
+
+test('does not re-run while lastModified is unchanged, backing off', async () => {
+    polls.push('t1', 't1', 't1');
+    const { waits, changes } = await run(3);
+
+    assert.deepEqual(changes, []);
+    assert.deepEqual(waits, [10, 15, 23, 35]);
+    assert.equal(requests, 3);
+});
+
+test('re-runs once on a change and resets the delay', async () => {
+    polls.push('t1', 't2', 't2');
+    const { waits, changes } = await run(3);
+
+    assert.deepEqual(changes, ['t2']);
+    assert.deepEqual(waits, [10, 15, 10, 15]);
+});
+
+test('backs off on a failed check and keeps polling', async () => {
+    polls.push(500, 't2');
+    const { waits, changes, errors } = await run(2);
+
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].status, 500);
+    assert.deepEqual(changes, ['t2']);
+    assert.deepEqual(waits, [10, 20, 10]);
+});
+
+test('backs off after a failed run and retries the change', async () => {
+    polls.push('t2', 't2');
+    let attempts = 0;
+    const { waits, changes } = await run(2, () => ++attempts > 1);
+
+    assert.deepEqual(changes, ['t2', 't2']);
+    assert.deepEqual(waits, [10, 20, 10]);
+});
+
+test('caps the delay at maxDelay', async () => {
+    polls.push('t1', 't1', 't1', 't1', 't1', 't1', 't1');
+    const { waits } = await run(7);
+
+    assert.equal(Math.max(...waits), 80);
+});